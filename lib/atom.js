@@ -0,0 +1,37 @@
+// Atom 1.0 feed (RFC 4287), e.g. for the news, so relatives can subscribe in a feed reader.
+
+const escapeXml = (value) => String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+/**
+ * Renders a complete feed document.
+ * feed: { id, title, link, selfLink, updated, language }
+ * entries: [{ id, title, link, published, updated, html }] - title and html are HTML, they are escaped here
+ */
+function renderAtomFeed(feed, entries) {
+    const entryXml = entries.map(entry => `
+  <entry>
+    <id>${escapeXml(entry.id)}</id>
+    <title type="html">${escapeXml(entry.title)}</title>
+    <link rel="alternate" type="text/html" href="${escapeXml(entry.link)}"/>
+    <published>${escapeXml(entry.published)}</published>
+    <updated>${escapeXml(entry.updated)}</updated>
+    <content type="html">${escapeXml(entry.html)}</content>
+  </entry>`).join('');
+
+    return `<?xml version="1.0" encoding="utf-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom"${feed.language ? ` xml:lang="${escapeXml(feed.language)}"` : ''}>
+  <id>${escapeXml(feed.id)}</id>
+  <title>${escapeXml(feed.title)}</title>
+  <link rel="alternate" type="text/html" href="${escapeXml(feed.link)}"/>
+  <link rel="self" type="application/atom+xml" href="${escapeXml(feed.selfLink)}"/>
+  <updated>${escapeXml(feed.updated)}</updated>
+  <author><name>${escapeXml(feed.title)}</name></author>${entryXml}
+</feed>
+`;
+}
+
+module.exports = { escapeXml, renderAtomFeed };
@@ -0,0 +1,44 @@
+const fs = require('fs');
+
+/**
+ * Append-only audit log of admin actions, one JSON object per line.
+ * Entries are never rewritten or deleted by the app.
+ */
+function createAuditLog(file) {
+    // record(req, action, details) - details is a small object describing the affected entry
+    const record = (req, action, details = {}) => {
+        const entry = {
+            time: new Date().toISOString(),
+            action,
+            ip: req.ip || 'unknown',
+            ...details
+        };
+        try {
+            fs.appendFileSync(file, JSON.stringify(entry) + '\n');
+        } catch (err) {
+            console.error('[AUDIT] Could not write audit log:', err);
+        }
+        return entry;
+    };
+
+    // Newest entries first
+    const read = (limit = 200) => {
+        if (!fs.existsSync(file)) return [];
+        return fs.readFileSync(file, 'utf8')
+            .split('\n')
+            .filter(Boolean)
+            .slice(-limit)
+            .map(line => {
+                try {
+                    return JSON.parse(line);
+                } catch (err) {
+                    return { time: null, action: 'unreadable', raw: line };
+                }
+            })
+            .reverse();
+    };
+
+    return { record, read };
+}
+
+module.exports = { createAuditLog };
@@ -0,0 +1,115 @@
+const crypto = require('crypto');
+const { HttpError, parseCookies } = require('./http');
+
+const COOKIE_NAME = 'admin_session';
+
+// Progressive lockout: after MAX_FAILURES wrong PINs from one IP, every further
+// failure doubles the lock time, starting at BASE_LOCK_MS and capped at MAX_LOCK_MS.
+const MAX_FAILURES = 5;
+const BASE_LOCK_MS = 60 * 1000;
+const MAX_LOCK_MS = 60 * 60 * 1000;
+
+const digest = (value) => crypto.createHash('sha256').update(String(value)).digest();
+const safeEqual = (a, b) => crypto.timingSafeEqual(digest(a), digest(b));
+
+/**
+ * Admin authentication: PIN login issuing a signed, expiring session cookie,
+ * plus per-IP brute-force lockout for every PIN check.
+ * The `x-admin-pin` header (`pinHeader`) is still accepted for scripts, but is subject to the same lockout.
+ * Instead of the plain `pin`, `verifyPin(candidate)` can check a stored hash.
+ * Several dashboards on one server use their own `cookieName` and `cookiePath`.
+ * `secret` can be a function, it is then asked on every signature, so a new secret ends all earlier sessions.
+ */
+function createAuth({
+    pin,
+    verifyPin = (candidate) => safeEqual(candidate, pin),
+    secret,
+    ttlMs,
+    cookieName = COOKIE_NAME,
+    cookiePath = '/',
+    pinHeader = 'x-admin-pin'
+}) {
+    const failures = new Map(); // ip -> { count, lockedUntil }
+
+    const sign = (payload) => crypto.createHmac('sha256', typeof secret === 'function' ? secret() : secret).update(payload).digest('base64url');
+
+    const createSession = () => {
+        const expiresAt = Date.now() + ttlMs;
+        const payload = Buffer.from(JSON.stringify({ exp: expiresAt })).toString('base64url');
+        return { token: `${payload}.${sign(payload)}`, expiresAt };
+    };
+
+    // Returns the session expiry for a valid cookie, otherwise null
+    const verifySession = (req) => {
+        const token = parseCookies(req.headers.cookie)[cookieName];
+        if (!token) return null;
+
+        const [payload, signature] = token.split('.');
+        if (!payload || !signature || !safeEqual(sign(payload), signature)) return null;
+
+        try {
+            const { exp } = JSON.parse(Buffer.from(payload, 'base64url').toString());
+            return exp > Date.now() ? exp : null;
+        } catch (err) {
+            return null;
+        }
+    };
+
+    const ensureNotLocked = (ip) => {
+        const entry = failures.get(ip);
+        if (entry && entry.lockedUntil > Date.now()) {
+            const minutes = Math.ceil((entry.lockedUntil - Date.now()) / 60000);
+            throw new HttpError(429, 'tooManyPinAttempts', { minutes });
+        }
+    };
+
+    const registerFailure = (ip) => {
+        const entry = failures.get(ip) || { count: 0, lockedUntil: 0 };
+        entry.count++;
+        if (entry.count >= MAX_FAILURES) {
+            const lockMs = Math.min(BASE_LOCK_MS * 2 ** (entry.count - MAX_FAILURES), MAX_LOCK_MS);
+            entry.lockedUntil = Date.now() + lockMs;
+        }
+        failures.set(ip, entry);
+        return entry;
+    };
+
+    // Checks a PIN for the request's IP. Throws 429 while locked out.
+    const checkPin = (req, candidate) => {
+        const ip = req.ip || 'unknown';
+        ensureNotLocked(ip);
+        if (typeof candidate === 'string' && verifyPin(candidate)) {
+            failures.delete(ip);
+            return true;
+        }
+        const entry = registerFailure(ip);
+        if (entry.lockedUntil > Date.now()) req.lockedOut = true;
+        return false;
+    };
+
+    // True for a valid session cookie or a correct `x-admin-pin` header
+    const isAdmin = (req) => {
+        if (verifySession(req)) return true;
+        const header = req.headers[pinHeader];
+        if (header === undefined) return false;
+        return checkPin(req, header);
+    };
+
+    const setSessionCookie = (req, res, session) => {
+        res.cookie(cookieName, session.token, {
+            httpOnly: true,
+            sameSite: 'strict',
+            secure: req.secure,
+            maxAge: ttlMs,
+            path: cookiePath
+        });
+    };
+
+    const clearSessionCookie = (res) => {
+        res.clearCookie(cookieName, { path: cookiePath });
+    };
+
+    return { isAdmin, checkPin, verifySession, createSession, setSessionCookie, clearSessionCookie };
+}
+
+module.exports = { createAuth };
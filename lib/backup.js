@@ -0,0 +1,218 @@
+// Backup archives of the whole dashboard: a gzipped tar containing
+//   manifest.json           app, schema version, creation time and record counts
+//   data/<collection>.json  every collection, whatever the storage driver
+//   uploads/<file>          the stored photo variants
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const { pipeline } = require('stream/promises');
+const { HttpError } = require('./http');
+const { COLLECTIONS, BACKUP_COUNT } = require('./storage');
+const { writeTar, TarParser } = require('./tar');
+
+const APP_ID = 'awesome-baby-dashboard';
+// Bump when the shape of the stored records changes, and upgrade older archives in readBackup
+const SCHEMA_VERSION = 1;
+// Uncompressed size of an archive to restore, so a "zip bomb" cannot fill the disk
+const MAX_ARCHIVE_BYTES = 1024 * 1024 * 1024;
+
+const DATA_ENTRY = /^data\/([A-Za-z]+)\.json$/;
+const UPLOAD_ENTRY = /^uploads\/([A-Za-z0-9][A-Za-z0-9._-]*)$/;
+
+const countOf = (value) => (Array.isArray(value) ? value.length : value === null ? 0 : 1);
+const toJsonBuffer = (value) => Buffer.from(JSON.stringify(value, null, 2));
+
+async function listUploads(uploadsDir) {
+    if (!fs.existsSync(uploadsDir)) return [];
+    const entries = await fs.promises.readdir(uploadsDir, { withFileTypes: true });
+    return entries.filter(e => e.isFile()).map(e => e.name).sort();
+}
+
+async function* archiveEntries(db, uploadsDir) {
+    // All collections are read at once, so the archive is one consistent state
+    const createdAt = new Date();
+    const data = {};
+    Object.keys(COLLECTIONS).forEach(name => { data[name] = db[name].read(); });
+    const files = await listUploads(uploadsDir);
+
+    const collections = {};
+    Object.entries(data).forEach(([name, value]) => { collections[name] = countOf(value); });
+    const manifest = { app: APP_ID, schemaVersion: SCHEMA_VERSION, createdAt: createdAt.toISOString(), collections, uploads: files.length };
+
+    yield { name: 'manifest.json', data: toJsonBuffer(manifest), mtime: createdAt };
+    for (const [name, value] of Object.entries(data)) {
+        yield { name: `data/${name}.json`, data: toJsonBuffer(value), mtime: createdAt };
+    }
+    for (const file of files) {
+        const full = path.join(uploadsDir, file);
+        const [content, stat] = await Promise.all([fs.promises.readFile(full), fs.promises.stat(full)]);
+        yield { name: `uploads/${file}`, data: content, mtime: stat.mtime };
+    }
+}
+
+// Streams the archive of the current state into `output` (a response or a file stream)
+async function writeBackup(output, { db, uploadsDir }) {
+    const gzip = zlib.createGzip();
+    const done = pipeline(gzip, output);
+    await writeTar(gzip, archiveEntries(db, uploadsDir));
+    await done;
+}
+
+const parseJsonEntry = (name, data) => {
+    try {
+        return JSON.parse(data.toString('utf8'));
+    } catch (err) {
+        throw new HttpError(400, 'backupEntryInvalid', { name });
+    }
+};
+
+function validateBackup({ manifest, data }) {
+    if (!manifest) throw new HttpError(400, 'backupManifestMissing');
+    if (manifest.app !== APP_ID) throw new HttpError(400, 'backupWrongApp');
+    if (!Number.isInteger(manifest.schemaVersion) || manifest.schemaVersion > SCHEMA_VERSION) {
+        throw new HttpError(400, 'backupTooNew', { version: manifest.schemaVersion, supported: SCHEMA_VERSION });
+    }
+
+    const counts = manifest.collections || {};
+    Object.keys(COLLECTIONS).filter(name => name in data || name in counts).forEach(collection => {
+        const value = data[collection];
+        const valid = Array.isArray(COLLECTIONS[collection])
+            ? Array.isArray(value) && value.every(record => record && typeof record === 'object' && record.id !== undefined)
+            : value === null || (typeof value === 'object' && !Array.isArray(value));
+        if (!valid || countOf(value) !== counts[collection]) throw new HttpError(400, 'backupCollectionInvalid', { collection });
+    });
+}
+
+/**
+ * Reads an uploaded archive: collections into memory, photos into `stagingDir/uploads`.
+ * Throws an HttpError for anything that is not a complete, valid backup of this app.
+ * On errors the rest of the request body is drained, so the error response still arrives.
+ */
+async function readBackup(input, stagingDir) {
+    const contents = { manifest: null, data: {}, uploads: [] };
+    const uploadsDir = path.join(stagingDir, 'uploads');
+    await fs.promises.mkdir(uploadsDir, { recursive: true });
+
+    let total = 0;
+    const parser = new TarParser(({ name, size }, data) => {
+        total += size;
+        if (total > MAX_ARCHIVE_BYTES) throw new HttpError(413, 'backupTooLarge', { maxMb: MAX_ARCHIVE_BYTES / 1024 / 1024 });
+
+        const dataEntry = name.match(DATA_ENTRY);
+        const uploadEntry = name.match(UPLOAD_ENTRY);
+        if (name === 'manifest.json') {
+            contents.manifest = parseJsonEntry(name, data);
+        } else if (dataEntry) {
+            contents.data[dataEntry[1]] = parseJsonEntry(name, data);
+        } else if (uploadEntry) {
+            fs.writeFileSync(path.join(uploadsDir, uploadEntry[1]), data);
+            contents.uploads.push({ name: uploadEntry[1], size });
+        } else {
+            throw new HttpError(400, 'backupEntryInvalid', { name });
+        }
+    });
+
+    const gunzip = zlib.createGunzip();
+    await new Promise((resolve, reject) => {
+        const fail = (err) => {
+            input.unpipe(gunzip);
+            input.resume();
+            reject(err instanceof HttpError ? err : new HttpError(400, 'backupCorrupt'));
+        };
+        input.on('error', reject);
+        gunzip.on('error', fail);
+        parser.on('error', fail);
+        parser.on('finish', resolve);
+        input.pipe(gunzip).pipe(parser);
+    });
+
+    validateBackup(contents);
+    return contents;
+}
+
+// How many records (by ID) a restore would add, remove or change in one collection
+function compareCollection(current, incoming) {
+    const report = { current: countOf(current), incoming: countOf(incoming), added: 0, removed: 0, changed: 0 };
+    if (!Array.isArray(incoming)) {
+        if (current === null && incoming !== null) report.added = 1;
+        else if (current !== null && incoming === null) report.removed = 1;
+        else if (JSON.stringify(current) !== JSON.stringify(incoming)) report.changed = 1;
+        return report;
+    }
+
+    const before = new Map(current.map(record => [String(record.id), JSON.stringify(record)]));
+    const after = new Set();
+    incoming.forEach(record => {
+        const id = String(record.id);
+        after.add(id);
+        if (!before.has(id)) report.added++;
+        else if (before.get(id) !== JSON.stringify(record)) report.changed++;
+    });
+    before.forEach((value, id) => { if (!after.has(id)) report.removed++; });
+    return report;
+}
+
+/**
+ * The dry-run report: what restoring `contents` would change compared to the current state.
+ * Collections missing in the archive (older versions) are reset to their empty value.
+ */
+async function compareBackup(contents, { db, uploadsDir }) {
+    const collections = {};
+    Object.entries(COLLECTIONS).forEach(([name, defaultValue]) => {
+        const incoming = name in contents.data ? contents.data[name] : defaultValue;
+        collections[name] = compareCollection(db[name].read(), incoming);
+    });
+
+    const current = new Map();
+    for (const file of await listUploads(uploadsDir)) {
+        current.set(file, (await fs.promises.stat(path.join(uploadsDir, file))).size);
+    }
+    const uploads = { current: current.size, incoming: contents.uploads.length, added: 0, removed: 0, changed: 0 };
+    const incoming = new Set(contents.uploads.map(u => u.name));
+    contents.uploads.forEach(({ name, size }) => {
+        if (!current.has(name)) uploads.added++;
+        else if (current.get(name) !== size) uploads.changed++;
+    });
+    current.forEach((size, name) => { if (!incoming.has(name)) uploads.removed++; });
+
+    return {
+        backup: { createdAt: contents.manifest.createdAt, schemaVersion: contents.manifest.schemaVersion },
+        collections,
+        uploads,
+        ignored: Object.keys(contents.data).filter(name => !(name in COLLECTIONS))
+    };
+}
+
+// Replaces all collections and uploads with the archive's contents (staged by readBackup)
+async function applyBackup(contents, { db, uploadsDir, stagingDir }) {
+    for (const [name, defaultValue] of Object.entries(COLLECTIONS)) {
+        await db[name].set(name in contents.data ? contents.data[name] : defaultValue);
+    }
+
+    const incoming = new Set(contents.uploads.map(u => u.name));
+    await fs.promises.mkdir(uploadsDir, { recursive: true });
+    for (const file of await listUploads(uploadsDir)) {
+        if (!incoming.has(file)) await fs.promises.unlink(path.join(uploadsDir, file));
+    }
+    for (const { name } of contents.uploads) {
+        await fs.promises.rename(path.join(stagingDir, 'uploads', name), path.join(uploadsDir, name));
+    }
+}
+
+// Snapshots are named with their creation time, so the newest sort last. Keeps the newest BACKUP_COUNT.
+async function pruneSnapshots(dir) {
+    const files = (await fs.promises.readdir(dir)).filter(f => f.endsWith('.tar.gz')).sort();
+    for (const file of files.slice(0, -BACKUP_COUNT)) {
+        await fs.promises.unlink(path.join(dir, file));
+    }
+}
+
+module.exports = {
+    SCHEMA_VERSION,
+    MAX_ARCHIVE_BYTES,
+    writeBackup,
+    readBackup,
+    compareBackup,
+    applyBackup,
+    pruneSnapshots
+};
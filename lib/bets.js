@@ -0,0 +1,222 @@
+const { HttpError } = require('./http');
+
+// Plausible ranges of the built-in guesses, shared by the bets and the birth result
+const WEIGHT_RANGE = { min: 300, max: 7000 };
+const SIZE_RANGE = { min: 20, max: 70 };
+
+// Date and time are compared as naive wall-clock values, so both sides are parsed as UTC
+const toBirthTimestamp = (date, time) => Date.parse(`${date}T${time || '12:00'}:00Z`);
+
+// 'YYYY-MM-DD' and 'HH:MM' of a real day and time. Date.parse rolls impossible values over
+// ('2026-02-30' becomes March 2nd, '24:00' the next day), so the parsed value has to read back the same.
+const isValidDateTime = (date, time) => typeof date === 'string' && typeof time === 'string'
+    && /^\d{4}-\d{2}-\d{2}$/.test(date) && /^\d{2}:\d{2}$/.test(time)
+    && Number.isFinite(toBirthTimestamp(date, time))
+    && new Date(toBirthTimestamp(date, time)).toISOString().slice(0, 16) === `${date}T${time}`;
+
+// --- Extra guess fields (configured by the parents) ---
+// { id, label, type: 'number' | 'choice' | 'text', unit, min, max, options, required }
+
+const FIELD_TYPES = ['number', 'choice', 'text'];
+const MAX_FIELDS = 10;
+const MAX_OPTIONS = 20;
+const MAX_TEXT_GUESS = 100;
+// The built-in guesses, extra fields must not shadow them
+const RESERVED_IDS = ['name', 'date', 'time', 'weight', 'size'];
+
+const slugify = (label) => label.normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '').slice(0, 30);
+
+const optionalNumber = (value) => (value === undefined || value === null || value === '' ? null : Number(value));
+
+/**
+ * Validates the complete list of extra fields sent by the admin.
+ * Existing IDs are kept, so renaming a field does not lose the guesses already placed.
+ */
+function parseFieldDefinitions(list) {
+    if (!Array.isArray(list)) throw new HttpError(400, 'fieldsNotArray');
+    if (list.length > MAX_FIELDS) throw new HttpError(400, 'tooManyFields', { max: MAX_FIELDS });
+
+    const ids = new Set();
+    return list.map((raw, index) => {
+        // "Field 2: label required"
+        const fail = (code, params) => { throw new HttpError(400, 'fieldInvalid', { field: index + 1, reason: { code, params } }); };
+        if (!raw || typeof raw !== 'object') fail('fieldDefinitionInvalid');
+
+        const label = typeof raw.label === 'string' ? raw.label.replace(/[<>]/g, '').trim() : '';
+        if (!label) fail('fieldLabelRequired');
+        if (label.length > 40) fail('fieldLabelTooLong', { max: 40 });
+        if (!FIELD_TYPES.includes(raw.type)) fail('fieldTypeInvalid', { options: FIELD_TYPES.join(', ') });
+
+        let id = typeof raw.id === 'string' && /^[a-z0-9-]{1,30}$/.test(raw.id) ? raw.id : slugify(label);
+        if (!id) fail('fieldLabelNoLetters');
+        if (RESERVED_IDS.includes(id)) id = `${id}-extra`;
+        if (ids.has(id)) fail('fieldDuplicate', { label });
+        ids.add(id);
+
+        const field = { id, label, type: raw.type, required: raw.required === true };
+        if (raw.type === 'number') {
+            const min = optionalNumber(raw.min);
+            const max = optionalNumber(raw.max);
+            if (Number.isNaN(min) || Number.isNaN(max)) fail('fieldRangeNotNumbers');
+            if (min !== null && max !== null && min >= max) fail('fieldRangeInvalid');
+            const unit = typeof raw.unit === 'string' ? raw.unit.replace(/[<>]/g, '').trim() : '';
+            if (unit.length > 10) fail('fieldUnitTooLong', { max: 10 });
+            Object.assign(field, { min, max, unit });
+        }
+        if (raw.type === 'choice') {
+            const options = Array.isArray(raw.options)
+                ? [...new Set(raw.options.map(o => String(o).replace(/[<>]/g, '').trim()).filter(Boolean))]
+                : [];
+            if (options.length < 2) fail('fieldTooFewOptions');
+            if (options.length > MAX_OPTIONS) fail('fieldTooManyOptions', { max: MAX_OPTIONS });
+            if (options.some(o => o.length > 40)) fail('fieldOptionTooLong', { max: 40 });
+            field.options = options;
+        }
+        return field;
+    });
+}
+
+/**
+ * Validates the guesses for the extra fields. Unknown keys are ignored.
+ * With `partial`, missing required fields are allowed (admin corrections).
+ */
+function parseExtraGuesses(definitions, values, { partial = false } = {}) {
+    values = values && typeof values === 'object' ? values : {};
+    const extra = {};
+
+    definitions.forEach(field => {
+        const value = values[field.id];
+        const empty = value === undefined || value === null || value === '';
+        if (empty) {
+            if (field.required && !partial) throw new HttpError(400, 'guessRequired', { label: field.label });
+            if (partial && value !== undefined) extra[field.id] = null;
+            return;
+        }
+
+        if (field.type === 'number') {
+            const number = Number(value);
+            if (!Number.isFinite(number)) throw new HttpError(400, 'guessNotNumber', { label: field.label });
+            if ((field.min !== null && number < field.min) || (field.max !== null && number > field.max)) {
+                throw new HttpError(400, 'guessOutOfRange', { label: field.label, min: field.min ?? '-∞', max: field.max ?? '∞' });
+            }
+            extra[field.id] = number;
+        } else if (field.type === 'choice') {
+            if (!field.options.includes(value)) throw new HttpError(400, 'guessInvalidChoice', { label: field.label, options: field.options.join(', ') });
+            extra[field.id] = value;
+        } else {
+            if (typeof value !== 'string' || value.length > MAX_TEXT_GUESS) throw new HttpError(400, 'guessTooLong', { label: field.label, max: MAX_TEXT_GUESS });
+            extra[field.id] = value.replace(/</g, '&lt;').replace(/>/g, '&gt;').trim();
+        }
+    });
+    return extra;
+}
+
+// --- Statistics ---
+
+const median = (sorted) => {
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+// A "round" bin width (1, 2 or 5 times a power of ten) giving about `bins` bars
+const niceBinSize = (range, bins = 8) => {
+    const raw = range / bins || 1;
+    const power = Math.pow(10, Math.floor(Math.log10(raw)));
+    return [1, 2, 5, 10].map(f => f * power).find(step => step >= raw);
+};
+
+// Histogram with bins [from, to), empty bins between the first and last guess included
+function histogram(sorted, binSize) {
+    const start = Math.floor(sorted[0] / binSize) * binSize;
+    const bins = [];
+    sorted.forEach(value => {
+        const index = Math.floor((value - start) / binSize);
+        while (bins.length <= index) {
+            const from = start + bins.length * binSize;
+            bins.push({ from, to: from + binSize, count: 0 });
+        }
+        bins[index].count++;
+    });
+    return bins;
+}
+
+// count, mean, median, min, max and a histogram of a list of numbers; null for an empty list
+function numberStats(values, binSize) {
+    const sorted = values.filter(Number.isFinite).sort((a, b) => a - b);
+    if (!sorted.length) return null;
+    const round = (value) => Math.round(value * 10) / 10;
+    return {
+        count: sorted.length,
+        mean: round(sorted.reduce((sum, v) => sum + v, 0) / sorted.length),
+        median: round(median(sorted)),
+        min: sorted[0],
+        max: sorted[sorted.length - 1],
+        histogram: histogram(sorted, binSize || niceBinSize(sorted[sorted.length - 1] - sorted[0]))
+    };
+}
+
+// Timestamps back to the naive { date, time } the guesses are made in
+const toDateTime = (timestamp) => {
+    const iso = new Date(Math.round(timestamp)).toISOString();
+    return { date: iso.slice(0, 10), time: iso.slice(11, 16) };
+};
+
+function dateStats(bets) {
+    const timestamps = bets.map(b => toBirthTimestamp(b.date, b.time)).filter(Number.isFinite).sort((a, b) => a - b);
+    if (!timestamps.length) return null;
+
+    const byDay = {};
+    timestamps.forEach(t => {
+        const day = toDateTime(t).date;
+        byDay[day] = (byDay[day] || 0) + 1;
+    });
+    return {
+        count: timestamps.length,
+        mean: toDateTime(timestamps.reduce((sum, t) => sum + t, 0) / timestamps.length),
+        median: toDateTime(median(timestamps)),
+        min: toDateTime(timestamps[0]),
+        max: toDateTime(timestamps[timestamps.length - 1]),
+        byDay
+    };
+}
+
+// Answers per option (choice) or per distinct text, most frequent first
+function countStats(values) {
+    const counts = {};
+    values.forEach(value => { counts[value] = (counts[value] || 0) + 1; });
+    return Object.entries(counts)
+        .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+        .map(([value, count]) => ({ value, count }));
+}
+
+/**
+ * Statistical breakdown of all guesses. Medians are shown prominently because a single
+ * joke guess ("10 kg!") skews the mean.
+ */
+function betStats(bets, definitions = []) {
+    const extra = {};
+    definitions.forEach(field => {
+        const values = bets.map(b => (b.extra || {})[field.id]).filter(v => v !== undefined && v !== null && v !== '');
+        extra[field.id] = field.type === 'number' ? numberStats(values) : countStats(values);
+    });
+
+    return {
+        count: bets.length,
+        date: dateStats(bets),
+        weight: numberStats(bets.map(b => b.weight), 250),
+        size: numberStats(bets.map(b => b.size), 2),
+        fields: definitions,
+        extra
+    };
+}
+
+module.exports = {
+    WEIGHT_RANGE,
+    SIZE_RANGE,
+    toBirthTimestamp,
+    isValidDateTime,
+    parseFieldDefinitions,
+    parseExtraGuesses,
+    betStats
+};
@@ -0,0 +1,78 @@
+// Minimal RFC 4180 CSV reading and writing for spreadsheet import/export.
+
+// Spreadsheet apps run cells starting with these characters as formulas
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+const escapeCell = (value) => {
+    let text = value === undefined || value === null ? '' : String(value);
+    if (FORMULA_PREFIX.test(text)) text = `'${text}`;
+    return /[",;\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// rows: array of objects, columns: the keys to write (also used as header)
+function toCsv(rows, columns) {
+    const lines = [columns.join(',')];
+    rows.forEach(row => lines.push(columns.map(key => escapeCell(row[key])).join(',')));
+    return lines.join('\r\n') + '\r\n';
+}
+
+// Excel in many locales saves with ";" - guess the delimiter from the header line
+const detectDelimiter = (text) => {
+    const header = text.split(/\r?\n/, 1)[0];
+    return (header.match(/;/g) || []).length > (header.match(/,/g) || []).length ? ';' : ',';
+};
+
+// Returns an array of objects keyed by the (trimmed, lower-cased) header row. Empty lines are skipped.
+function parseCsv(text) {
+    text = String(text).replace(/^\uFEFF/, '');
+    const delimiter = detectDelimiter(text);
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let quoted = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                cell += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === delimiter) {
+            row.push(cell);
+            cell = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(cell);
+            rows.push(row);
+            row = [];
+            cell = '';
+        } else {
+            cell += char;
+        }
+    }
+    if (cell !== '' || row.length) {
+        row.push(cell);
+        rows.push(row);
+    }
+
+    const nonEmpty = rows.filter(r => r.some(c => c.trim() !== ''));
+    if (!nonEmpty.length) return [];
+    const header = nonEmpty[0].map(h => h.trim().toLowerCase());
+    return nonEmpty.slice(1).map(cells => {
+        const record = {};
+        header.forEach((key, index) => {
+            // Undo the formula guard of toCsv
+            if (key) record[key] = (cells[index] || '').trim().replace(/^'(?=[=+\-@])/, '');
+        });
+        return record;
+    });
+}
+
+module.exports = { toCsv, parseCsv };
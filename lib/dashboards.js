@@ -0,0 +1,70 @@
+// Dashboards hosted next to the one at "/": their slugs, settings and enabled tabs.
+const { HttpError } = require('./http');
+const { resolvePregnancyDates } = require('./pregnancy');
+const { hashPin } = require('./tokens');
+
+// The optional tabs; the size tracker, the parents' admin tab and the notifications are always there
+const TABS = ['names', 'wishlist', 'bets', 'offers', 'news', 'guestbook', 'visits'];
+// A slug is the first path segment (/<slug>/), so it must not shadow the paths of the dashboard at "/"
+const RESERVED_SLUGS = ['api', 'uploads', 'locales', 'icons', 'super'];
+const SLUG_PATTERN = /^[a-z0-9](?:[a-z0-9-]{0,38}[a-z0-9])?$/;
+const MAX_TITLE_LENGTH = 80;
+const MIN_PIN_LENGTH = 4;
+
+// Keeps the order of TABS, whatever order the tabs were sent in
+function parseTabs(tabs) {
+    if (!Array.isArray(tabs)) throw new HttpError(400, 'unknownTab', { tab: String(tabs), options: TABS.join(', ') });
+    tabs.forEach(tab => {
+        if (!TABS.includes(tab)) throw new HttpError(400, 'unknownTab', { tab, options: TABS.join(', ') });
+    });
+    return TABS.filter(tab => tabs.includes(tab));
+}
+
+/**
+ * Validates the settings sent by the super-admin:
+ * { slug, title, dueDate, pregnancyStart, adminPin, tabs }
+ * Creating (without `previous`) needs a slug, title, admin PIN and one of the dates. Updates change only
+ * the fields sent; the slug never changes, as it is part of every stored photo URL.
+ * Returns the fields to store, with the PIN replaced by its hash.
+ */
+function parseDashboard(body, previous = null) {
+    const settings = {};
+
+    if (!previous) {
+        const slug = typeof body.slug === 'string' ? body.slug.trim().toLowerCase() : '';
+        if (!SLUG_PATTERN.test(slug) || RESERVED_SLUGS.includes(slug)) throw new HttpError(400, 'invalidSlug');
+        settings.slug = slug;
+    }
+
+    if (!previous || body.title !== undefined) {
+        const title = typeof body.title === 'string' ? body.title.trim() : '';
+        if (!title) throw new HttpError(400, 'titleRequired');
+        if (title.length > MAX_TITLE_LENGTH) throw new HttpError(400, 'titleTooLong', { max: MAX_TITLE_LENGTH });
+        settings.title = title;
+    }
+
+    if (!previous || body.dueDate !== undefined) settings.dueDate = body.dueDate || null;
+    if (!previous || body.pregnancyStart !== undefined) settings.pregnancyStart = body.pregnancyStart || null;
+    const dates = { ...previous, ...settings };
+    if (!dates.dueDate && !dates.pregnancyStart) throw new HttpError(400, 'dueDateRequired');
+    try {
+        resolvePregnancyDates({ dueDate: dates.dueDate, startDate: dates.pregnancyStart });
+    } catch (err) {
+        throw new HttpError(400, 'invalidPregnancyDates');
+    }
+
+    if (!previous || body.adminPin !== undefined) {
+        if (typeof body.adminPin !== 'string' || body.adminPin.length < MIN_PIN_LENGTH) throw new HttpError(400, 'pinTooShort', { min: MIN_PIN_LENGTH });
+        settings.adminPinHash = hashPin(body.adminPin);
+    }
+
+    if (body.tabs !== undefined) settings.tabs = parseTabs(body.tabs);
+    else if (!previous) settings.tabs = TABS;
+
+    return settings;
+}
+
+// What the super-admin sees of a dashboard: everything but the PIN hash
+const publicDashboard = ({ adminPinHash, ...rest }) => ({ ...rest, url: `/${rest.slug}/` });
+
+module.exports = { TABS, parseTabs, parseDashboard, publicDashboard };
@@ -0,0 +1,46 @@
+// Head-to-head name duels: two names are shown, the guest picks one, both ratings move (Elo).
+
+const DEFAULT_RATING = 1000;
+// How far a single duel moves the ratings. 32 settles quickly with the few hundred duels of a party.
+const K_FACTOR = 32;
+
+const ratingOf = (name) => (typeof name.rating === 'number' ? name.rating : DEFAULT_RATING);
+
+// Probability that a name rated `rating` wins against one rated `opponent`
+const expectedScore = (rating, opponent) => 1 / (1 + Math.pow(10, (opponent - rating) / 400));
+
+// Updates rating and win/loss counters of both names in place, returns the points the winner gained
+function applyDuelResult(winner, loser) {
+    const winnerRating = ratingOf(winner);
+    const loserRating = ratingOf(loser);
+    const delta = Math.round(K_FACTOR * (1 - expectedScore(winnerRating, loserRating)));
+
+    winner.rating = winnerRating + delta;
+    loser.rating = loserRating - delta;
+    winner.duelWins = (winner.duelWins || 0) + 1;
+    loser.duelLosses = (loser.duelLosses || 0) + 1;
+    return delta;
+}
+
+// Order-independent key of a pair of name IDs
+const pairKey = (a, b) => [a, b].sort().join(':');
+
+/**
+ * Picks a random pair of names the voter has not decided yet.
+ * seenPairs: Set of pairKey()s from the voter's history. Returns null once every pair has been shown.
+ */
+function pickPair(names, seenPairs, random = Math.random) {
+    const pairs = [];
+    for (let i = 0; i < names.length; i++) {
+        for (let j = i + 1; j < names.length; j++) {
+            if (!seenPairs.has(pairKey(names[i].id, names[j].id))) pairs.push([names[i], names[j]]);
+        }
+    }
+    if (!pairs.length) return null;
+
+    const pair = pairs[Math.floor(random() * pairs.length)];
+    // Random sides, so the older suggestion is not always on the left
+    return random() < 0.5 ? pair : [pair[1], pair[0]];
+}
+
+module.exports = { DEFAULT_RATING, K_FACTOR, ratingOf, expectedScore, applyDuelResult, pairKey, pickPair };
@@ -0,0 +1,57 @@
+// Server-Sent Events hub: every open /api/events connection receives all published changes.
+
+// Comment lines keep proxies (e.g. Cloudflare) from closing idle connections
+const HEARTBEAT_INTERVAL = 25 * 1000;
+// Reconnect delay suggested to EventSource clients
+const RETRY_MS = 3000;
+
+function createEventBus() {
+    const clients = new Set();
+    // Number of changes published per collection since start. The hello event carries them, so a client that
+    // reconnects can count the events it received and reload only the collections it missed changes of.
+    // `instance` changes with every start, the counters start over then.
+    const instance = Date.now().toString(36);
+    const revisions = {};
+
+    const write = (res, type, payload) => {
+        res.write(`event: ${type}\ndata: ${JSON.stringify(payload)}\n\n`);
+    };
+
+    // Express handler for GET /api/events
+    const handler = (req, res) => {
+        res.set({
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache, no-transform',
+            'Connection': 'keep-alive',
+            'X-Accel-Buffering': 'no'
+        });
+        res.flushHeaders();
+        res.write(`retry: ${RETRY_MS}\n\n`);
+        write(res, 'hello', { time: new Date().toISOString(), instance, revisions });
+
+        clients.add(res);
+        const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_INTERVAL);
+
+        req.on('close', () => {
+            clearInterval(heartbeat);
+            clients.delete(res);
+        });
+    };
+
+    // type is the collection ('names', 'wishlist', 'bets', 'offers'),
+    // payload describes the change, e.g. { action: 'updated', item }
+    const publish = (type, payload) => {
+        revisions[type] = (revisions[type] || 0) + 1;
+        clients.forEach(res => write(res, type, payload));
+    };
+
+    // Ends all streams, e.g. when the dashboard is archived. EventSource clients reconnect by themselves.
+    const close = () => {
+        clients.forEach(res => res.end());
+        clients.clear();
+    };
+
+    return { handler, publish, close, size: () => clients.size };
+}
+
+module.exports = { createEventBus };
@@ -0,0 +1,42 @@
+// Guestbook: congratulation messages for the baby, with emoji reactions.
+
+const REACTIONS = ['❤️', '🎉', '🥹', '😂', '👶'];
+
+// Like the name votes, invited guests react by guest ID and anonymous visitors by IP address
+const reactorsOf = (entry, guest) => {
+    const field = guest ? 'reactedGuests' : 'reactedIPs';
+    if (!entry[field]) entry[field] = {};
+    return entry[field];
+};
+
+// { '❤️': 3, '🎉': 1 } over guests and anonymous visitors
+function countReactions(entry) {
+    const counts = {};
+    [entry.reactedGuests, entry.reactedIPs].forEach(reactors => {
+        Object.values(reactors || {}).forEach(emojis => emojis.forEach(emoji => {
+            counts[emoji] = (counts[emoji] || 0) + 1;
+        }));
+    });
+    return counts;
+}
+
+/**
+ * Adds or removes one reaction of a voter (guest ID or IP), so everybody can give each emoji once.
+ * Updates `reactions` in place and returns whether the reaction is set now.
+ */
+function toggleReaction(entry, { guest, voterKey }, emoji) {
+    const reactors = reactorsOf(entry, guest);
+    const mine = reactors[voterKey] || [];
+    const active = !mine.includes(emoji);
+    const updated = active ? [...mine, emoji] : mine.filter(e => e !== emoji);
+
+    if (updated.length) reactors[voterKey] = updated;
+    else delete reactors[voterKey];
+    entry.reactions = countReactions(entry);
+    return active;
+}
+
+// The emojis the voter has given to this entry
+const myReactions = (entry, { guest, voterKey }) => ((guest ? entry.reactedGuests : entry.reactedIPs) || {})[voterKey] || [];
+
+module.exports = { REACTIONS, toggleReaction, myReactions };
@@ -0,0 +1,72 @@
+const { StorageError } = require('./storage');
+const { FALLBACK_LANGUAGE, translate } = require('./i18n');
+
+/**
+ * Thrown inside route handlers (and storage update callbacks) to end the request with a status code.
+ * `code` names the message in the catalogues (`errors.<code>`), `params` fills in its placeholders.
+ * The message itself is English, the response is translated into the language of the request.
+ */
+class HttpError extends Error {
+    constructor(status, code, params = {}) {
+        super(translate(FALLBACK_LANGUAGE, `errors.${code}`, params));
+        this.name = 'HttpError';
+        this.status = status;
+        this.code = code;
+        this.params = params;
+    }
+}
+
+// Express 4 does not catch rejected promises, so async handlers are wrapped to forward errors
+const asyncRoute = (fn) => (req, res, next) => {
+    Promise.resolve(fn(req, res, next)).catch(next);
+};
+
+// Cookies set by other apps on the same host may not be URI-encoded (e.g. "foo=100%"), those keep their raw value
+const decodeCookie = (value) => {
+    try {
+        return decodeURIComponent(value);
+    } catch (err) {
+        return value;
+    }
+};
+
+const parseCookies = (header = '') => {
+    const cookies = {};
+    header.split(';').forEach(part => {
+        const index = part.indexOf('=');
+        if (index === -1) return;
+        cookies[part.slice(0, index).trim()] = decodeCookie(part.slice(index + 1).trim());
+    });
+    return cookies;
+};
+
+// Upload errors from multer (e.g. too many files, file too large)
+const MULTER_CODES = { LIMIT_FILE_SIZE: 'fileTooLarge', LIMIT_FILE_COUNT: 'tooManyFiles', LIMIT_UNEXPECTED_FILE: 'unexpectedFile' };
+// Errors from body-parser
+const BODY_PARSER_CODES = { 'entity.too.large': 'payloadTooLarge', 'entity.parse.failed': 'invalidJson' };
+
+// Final error middleware: turns thrown errors into `{ error, code }` JSON responses.
+// `req.language` is set by the server for every request, English is used without it.
+function errorHandler(err, req, res, next) {
+    const send = (status, code, params) => {
+        res.status(status).json({ error: translate(req.language || FALLBACK_LANGUAGE, `errors.${code}`, params), code });
+    };
+
+    if (err instanceof HttpError) {
+        return send(err.status, err.code, err.params);
+    }
+    if (err instanceof StorageError) {
+        console.error('[STORAGE]', err.message);
+        return send(500, 'storageError');
+    }
+    if (err.name === 'MulterError') {
+        return send(err.code === 'LIMIT_FILE_SIZE' ? 413 : 400, MULTER_CODES[err.code] || 'uploadFailed');
+    }
+    if (err.status && err.expose) {
+        return send(err.status, BODY_PARSER_CODES[err.type] || 'badRequest');
+    }
+    console.error(err);
+    send(500, 'internalError');
+}
+
+module.exports = { HttpError, asyncRoute, parseCookies, errorHandler };
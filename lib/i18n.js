@@ -0,0 +1,39 @@
+const fs = require('fs');
+const path = require('path');
+
+// Flat translation catalogues, shared with the frontend (served as /locales/<language>.json).
+// Keys missing in a catalogue fall back to English.
+const LOCALES_DIR = path.join(__dirname, '..', 'locales');
+const FALLBACK_LANGUAGE = 'en';
+
+const catalogues = Object.fromEntries(fs.readdirSync(LOCALES_DIR)
+    .filter(file => file.endsWith('.json'))
+    .map(file => [path.basename(file, '.json'), JSON.parse(fs.readFileSync(path.join(LOCALES_DIR, file), 'utf8'))]));
+
+const LANGUAGES = Object.keys(catalogues).sort();
+
+// "de", "de-AT" or "DE_de" -> "de"; null for languages without a catalogue
+const normalizeLanguage = (value) => {
+    const code = String(value || '').trim().toLowerCase().split(/[-_]/)[0];
+    return LANGUAGES.includes(code) ? code : null;
+};
+
+/**
+ * Looks up `key` and fills in `{placeholders}` from params.
+ * A param with a `code` (e.g. an HttpError) is translated as nested error, so
+ * "Row {row}: {reason}" is fully translated. Unknown keys are returned as they are.
+ */
+function translate(language, key, params = {}) {
+    const catalogue = catalogues[language] || {};
+    const text = catalogue[key] !== undefined ? catalogue[key] : catalogues[FALLBACK_LANGUAGE][key];
+    if (text === undefined) return key;
+
+    return text.replace(/\{(\w+)\}/g, (match, name) => {
+        const value = params[name];
+        if (value === undefined || value === null) return match;
+        if (typeof value === 'object' && value.code) return translate(language, `errors.${value.code}`, value.params);
+        return String(value);
+    });
+}
+
+module.exports = { LOCALES_DIR, FALLBACK_LANGUAGE, LANGUAGES, normalizeLanguage, translate };
@@ -0,0 +1,72 @@
+// iCalendar feed (RFC 5545), e.g. for the due date and the booked visits, so relatives can subscribe in their calendar app.
+
+// Text values escape backslashes, semicolons, commas and line breaks
+const escapeText = (value) => String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+
+// Lines longer than 75 octets are folded onto continuation lines starting with a space.
+// UTF-8 sequences (umlauts, emojis) are never split.
+function foldLine(line) {
+    const bytes = Buffer.from(line, 'utf8');
+    if (bytes.length <= 75) return line;
+    const parts = [];
+    let start = 0;
+    while (start < bytes.length) {
+        // Continuation lines lose one octet to the leading space
+        let end = Math.min(start + (parts.length ? 74 : 75), bytes.length);
+        while (end < bytes.length && (bytes[end] & 0xc0) === 0x80) end--;
+        parts.push(bytes.subarray(start, end).toString('utf8'));
+        start = end;
+    }
+    return parts.join('\r\n ');
+}
+
+// '2026-08-20' -> '20260820', '14:30' -> '143000'
+const formatDate = (date) => date.replace(/-/g, '');
+const formatLocal = (date, time) => `${formatDate(date)}T${time.replace(':', '')}00`;
+const formatUtc = (iso) => new Date(iso).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+const nextDay = (date) => {
+    const day = new Date(`${date}T00:00:00Z`);
+    day.setUTCDate(day.getUTCDate() + 1);
+    return day.toISOString().slice(0, 10);
+};
+
+/**
+ * Renders a complete calendar.
+ * calendar: { name, stamp } - stamp is the ISO time the feed was generated
+ * events: [{ uid, summary, description, location, url, date, start, end }] - texts are plain text, they are escaped here.
+ * date is 'YYYY-MM-DD', start and end 'HH:MM' in the dashboard's local time ("floating", shown at the same wall-clock
+ * time everywhere, like the birth guesses). Without start the event lasts the whole day.
+ */
+function renderCalendar(calendar, events) {
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        'PRODID:-//Awesome Baby Dashboard//EN',
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH',
+        `X-WR-CALNAME:${escapeText(calendar.name)}`
+    ];
+    events.forEach(event => {
+        lines.push('BEGIN:VEVENT', `UID:${event.uid}`, `DTSTAMP:${formatUtc(calendar.stamp)}`);
+        if (event.start) {
+            lines.push(`DTSTART:${formatLocal(event.date, event.start)}`);
+            if (event.end) lines.push(`DTEND:${formatLocal(event.date, event.end)}`);
+        } else {
+            lines.push(`DTSTART;VALUE=DATE:${formatDate(event.date)}`, `DTEND;VALUE=DATE:${formatDate(nextDay(event.date))}`);
+        }
+        lines.push(`SUMMARY:${escapeText(event.summary)}`);
+        if (event.description) lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+        if (event.location) lines.push(`LOCATION:${escapeText(event.location)}`);
+        if (event.url) lines.push(`URL:${event.url}`);
+        lines.push('END:VEVENT');
+    });
+    lines.push('END:VCALENDAR');
+    return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+module.exports = { escapeText, foldLine, renderCalendar };
@@ -0,0 +1,121 @@
+const fs = require('fs');
+const path = require('path');
+const sharp = require('sharp');
+const { HttpError } = require('./http');
+
+// Upload limits for offer photos
+const MAX_PHOTOS = 6;
+const MAX_FILE_BYTES = 10 * 1024 * 1024;
+// Decompression bombs: refuse images with more pixels than a 48 MP phone photo
+const MAX_PIXELS = 50 * 1000 * 1000;
+
+// Every photo is stored as a small thumbnail for the cards and a large variant for the gallery
+const VARIANTS = {
+    thumb: { width: 400, height: 400, quality: 75 },
+    large: { width: 1600, height: 1600, quality: 82 }
+};
+
+// Magic numbers of the accepted formats. The client-supplied MIME type and file name are not trusted.
+const SIGNATURES = [
+    { type: 'jpeg', test: (b) => b[0] === 0xFF && b[1] === 0xD8 && b[2] === 0xFF },
+    { type: 'png', test: (b) => b.slice(0, 8).equals(Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A])) },
+    { type: 'gif', test: (b) => ['GIF87a', 'GIF89a'].includes(b.slice(0, 6).toString('ascii')) },
+    { type: 'webp', test: (b) => b.slice(0, 4).toString('ascii') === 'RIFF' && b.slice(8, 12).toString('ascii') === 'WEBP' }
+];
+
+const detectImageType = (buffer) => {
+    if (!Buffer.isBuffer(buffer) || buffer.length < 12) return null;
+    const match = SIGNATURES.find(s => s.test(buffer));
+    return match ? match.type : null;
+};
+
+const removeFiles = (dir, files) => files.forEach(file => {
+    try {
+        fs.rmSync(path.join(dir, path.basename(file)), { force: true });
+    } catch (err) {
+        console.error('Error deleting image:', err);
+    }
+});
+
+/**
+ * Validates one uploaded photo and writes its variants as WebP into dir.
+ * EXIF orientation is applied, all other metadata (e.g. GPS position) is dropped.
+ * Returns { url, thumbUrl, width, height } with URLs below urlPrefix.
+ */
+async function processPhoto(buffer, { dir, baseName, urlPrefix = '/uploads' }) {
+    if (!detectImageType(buffer)) throw new HttpError(400, 'unsupportedImageFormat');
+
+    let metadata;
+    try {
+        metadata = await sharp(buffer, { limitInputPixels: MAX_PIXELS }).metadata();
+    } catch (err) {
+        throw new HttpError(400, 'invalidImage');
+    }
+    if (!metadata.width || !metadata.height || metadata.width * metadata.height > MAX_PIXELS) {
+        throw new HttpError(400, 'imageTooLarge', { max: MAX_PIXELS / 1000000 });
+    }
+
+    const written = [];
+    try {
+        const result = {};
+        for (const [name, variant] of Object.entries(VARIANTS)) {
+            const file = `${baseName}-${name}.webp`;
+            const info = await sharp(buffer, { limitInputPixels: MAX_PIXELS })
+                .rotate()
+                .resize({ width: variant.width, height: variant.height, fit: 'inside', withoutEnlargement: true })
+                .webp({ quality: variant.quality })
+                .toFile(path.join(dir, file));
+            written.push(file);
+
+            if (name === 'large') {
+                result.url = `${urlPrefix}/${file}`;
+                result.width = info.width;
+                result.height = info.height;
+            } else {
+                result.thumbUrl = `${urlPrefix}/${file}`;
+            }
+        }
+        return result;
+    } catch (err) {
+        removeFiles(dir, written);
+        console.error('Image processing failed:', err);
+        throw new HttpError(400, 'invalidImage');
+    }
+}
+
+// All variants of the given photos ({ url, thumbUrl } as returned by processPhoto)
+function deletePhotoFiles(photos, dir) {
+    const urls = (photos || []).flatMap(p => [p.url, p.thumbUrl]);
+    removeFiles(dir, [...new Set(urls.filter(Boolean))]);
+}
+
+// All files belonging to an offer: every photo variant plus the single image of offers from before multi-photo uploads
+function deleteOfferFiles(offer, dir) {
+    deletePhotoFiles([...(offer.photos || []), { url: offer.imageUrl }], dir);
+}
+
+// App icons for the web app manifest, rendered once per size from the SVG
+const ICON_SIZES = [192, 512];
+const renderedIcons = new Map();
+
+function renderIcon(svgFile, size) {
+    if (!renderedIcons.has(size)) {
+        const rendering = sharp(svgFile).resize(size, size).png().toBuffer();
+        // A failed rendering is retried on the next request
+        rendering.catch(() => renderedIcons.delete(size));
+        renderedIcons.set(size, rendering);
+    }
+    return renderedIcons.get(size);
+}
+
+module.exports = {
+    MAX_PHOTOS,
+    MAX_FILE_BYTES,
+    MAX_PIXELS,
+    ICON_SIZES,
+    detectImageType,
+    processPhoto,
+    deletePhotoFiles,
+    deleteOfferFiles,
+    renderIcon
+};
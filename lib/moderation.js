@@ -0,0 +1,43 @@
+const { HttpError } = require('./http');
+
+// Public submissions (names, offers, bets) carry `moderation: 'pending' | 'approved'`.
+// Records from before moderation existed have no field and count as approved.
+const isPending = (record) => !!record && record.moderation === 'pending';
+
+// Lower-case and strip accents, so "Pöbel" is caught by "pobel"
+const normalize = (text) => String(text || '').normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Moderation of public submissions.
+ * - enabled: every new submission waits for the admin's approval
+ * - blocklist: words that are never published directly
+ * - blocklistAction: 'reject' refuses matching submissions, 'flag' queues them for review
+ */
+function createModeration({ enabled = false, blocklist = [], blocklistAction = 'flag' } = {}) {
+    const words = blocklist.map(w => normalize(w).trim()).filter(Boolean);
+    const patterns = words.map(word => ({ word, regex: new RegExp(`(^|[^a-z0-9])${escapeRegExp(word)}($|[^a-z0-9])`) }));
+
+    const findBlockedWords = (texts) => {
+        const haystack = texts.map(normalize).join('\n');
+        return patterns.filter(p => p.regex.test(haystack)).map(p => p.word);
+    };
+
+    // Returns the moderation fields for a new or edited submission. Throws 400 for rejected submissions.
+    const review = (texts) => {
+        const flaggedWords = findBlockedWords(texts);
+        if (flaggedWords.length && blocklistAction === 'reject') {
+            throw new HttpError(400, 'blockedWords');
+        }
+        if (flaggedWords.length) return { moderation: 'pending', flaggedWords };
+        return { moderation: enabled ? 'pending' : 'approved' };
+    };
+
+    return { enabled, review };
+}
+
+// Parses a comma or newline separated word list (e.g. from an environment variable)
+const parseWordList = (value) => String(value || '').split(/[,\n]/).map(w => w.trim()).filter(Boolean);
+
+module.exports = { createModeration, isPending, parseWordList };
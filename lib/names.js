@@ -0,0 +1,41 @@
+// Backward compatibility: older names.json files stored `votedIPs` as an array of IPs.
+// Converts it to the `{ ip: 'up' | 'down' }` map in place and returns the name.
+function upgradeVotedIPs(name) {
+    if (Array.isArray(name.votedIPs)) {
+        const legacyMap = {};
+        name.votedIPs.forEach(ip => {
+            // We don't know if legacy was up or down, assume 'up' as it was the default intended action for most
+            legacyMap[ip] = 'up';
+        });
+        name.votedIPs = legacyMap;
+    } else if (!name.votedIPs) {
+        name.votedIPs = {};
+    }
+    return name;
+}
+
+// Display form of a suggestion: single spaces, every part capitalised ("anna-lena  " -> "Anna-Lena")
+function formatName(name) {
+    return String(name)
+        .trim()
+        .replace(/\s+/g, ' ')
+        .split(/([ -])/)
+        .map(part => {
+            // Shouted names ("LENA") become "Lena", mixed case ("McKenzie") is kept
+            const word = part.length > 1 && part === part.toLocaleUpperCase() ? part.toLocaleLowerCase() : part;
+            return word.charAt(0).toLocaleUpperCase() + word.slice(1);
+        })
+        .join('');
+}
+
+// Comparison key for duplicate detection: "Lena", "lena " and "Léna" are the same suggestion
+function nameKey(name) {
+    return String(name)
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+module.exports = { upgradeVotedIPs, formatName, nameKey };
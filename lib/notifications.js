@@ -0,0 +1,236 @@
+// Notifications for the parents: emails over SMTP and JSON webhooks, per event type,
+// optionally collected into one daily digest email.
+const crypto = require('crypto');
+const { HttpError } = require('./http');
+
+// Event types the mutation endpoints send (see `notify` in server.js)
+const EVENT_TYPES = [
+    'name.suggested',
+    'bet.placed',
+    'gift.reserved',
+    'gift.pledged',
+    'offer.created',
+    'guestbook.signed',
+    'visit.booked',
+    'submission.pending'
+];
+const MAX_WEBHOOKS = 5;
+const MAX_RECIPIENTS = 10;
+// Recent deliveries shown in the admin settings
+const DELIVERY_LOG_SIZE = 50;
+const WEBHOOK_TIMEOUT_MS = 10 * 1000;
+
+const EMAIL_PATTERN = /^[^\s@<>,]+@[^\s@<>,]+\.[^\s@<>,]+$/;
+
+const parseEvents = (events) => {
+    if (!Array.isArray(events)) return [];
+    events.forEach(type => {
+        if (!EVENT_TYPES.includes(type)) throw new HttpError(400, 'unknownEventType', { type, options: EVENT_TYPES.join(', ') });
+    });
+    return [...new Set(events)];
+};
+
+/**
+ * Validates the settings sent by the admin:
+ * { email: { recipients, events, digest }, webhooks: [{ id, url, events }] }
+ * Webhooks keep their secret by ID, new webhooks get a fresh one.
+ */
+function parseSettings(body, previous) {
+    const email = body.email || {};
+    const recipients = Array.isArray(email.recipients)
+        ? email.recipients.map(r => String(r).trim()).filter(Boolean)
+        : [];
+    if (recipients.length > MAX_RECIPIENTS) throw new HttpError(400, 'tooManyRecipients', { max: MAX_RECIPIENTS });
+    recipients.forEach(address => {
+        if (!EMAIL_PATTERN.test(address)) throw new HttpError(400, 'invalidEmail', { email: address });
+    });
+
+    const webhooks = Array.isArray(body.webhooks) ? body.webhooks : [];
+    if (webhooks.length > MAX_WEBHOOKS) throw new HttpError(400, 'tooManyWebhooks', { max: MAX_WEBHOOKS });
+    const known = new Map(((previous && previous.webhooks) || []).map(h => [h.id, h]));
+
+    return {
+        email: { recipients, events: parseEvents(email.events), digest: email.digest === true },
+        webhooks: webhooks.map(hook => {
+            let url;
+            try {
+                url = new URL(String(hook.url));
+            } catch (err) {
+                throw new HttpError(400, 'invalidWebhookUrl', { url: String(hook.url) });
+            }
+            if (!['http:', 'https:'].includes(url.protocol)) throw new HttpError(400, 'invalidWebhookUrl', { url: String(hook.url) });
+
+            const existing = known.get(hook.id);
+            return {
+                id: existing ? existing.id : crypto.randomBytes(6).toString('hex'),
+                url: url.toString(),
+                events: parseEvents(hook.events),
+                secret: existing ? existing.secret : crypto.randomBytes(24).toString('hex')
+            };
+        })
+    };
+}
+
+// Receivers verify `X-Dashboard-Signature` by computing the same HMAC over "<timestamp>.<raw body>"
+const signPayload = (secret, timestamp, body) => crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+
+// YYYY-MM-DD in the server's time zone, like the digest hour
+const localDate = (date) => [date.getFullYear(), date.getMonth() + 1, date.getDate()].map(n => String(n).padStart(2, '0')).join('-');
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms).unref());
+
+/**
+ * settings: collection holding the settings (null until saved)
+ * digest:   collection holding { events, lastSentOn } for the daily digest (never null)
+ * sendMail: (message) => Promise, null without SMTP configuration
+ * format:   (event) => { subject, text } for single emails, formatDigest(events) for the digest
+ * retryDelays: waiting times in ms before the webhook retries
+ */
+function createNotifier({ settings, digest, sendMail, format, formatDigest, retryDelays = [10000, 60000, 300000], log = console }) {
+    const deliveries = [];
+
+    const logDelivery = (entry) => {
+        deliveries.unshift({ time: new Date().toISOString(), ...entry });
+        deliveries.splice(DELIVERY_LOG_SIZE);
+    };
+
+    const current = () => settings.read() || { email: { recipients: [], events: [], digest: false }, webhooks: [] };
+
+    async function deliverWebhook(hook, event, delays = retryDelays) {
+        const body = JSON.stringify(event);
+        for (let attempt = 0; ; attempt++) {
+            const timestamp = Math.floor(Date.now() / 1000).toString();
+            let error;
+            try {
+                const res = await fetch(hook.url, {
+                    method: 'POST',
+                    headers: {
+                        'Content-Type': 'application/json',
+                        'User-Agent': 'Baby-Dashboard-Webhooks',
+                        'X-Dashboard-Event': event.type,
+                        'X-Dashboard-Delivery': event.id,
+                        'X-Dashboard-Timestamp': timestamp,
+                        'X-Dashboard-Signature': `sha256=${signPayload(hook.secret, timestamp, body)}`
+                    },
+                    body,
+                    signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS)
+                });
+                if (res.ok) {
+                    logDelivery({ channel: 'webhook', target: hook.url, type: event.type, ok: true, attempts: attempt + 1 });
+                    return true;
+                }
+                error = `HTTP ${res.status}`;
+                // Client errors other than timeouts and rate limits will not go away by retrying
+                if (res.status < 500 && ![408, 429].includes(res.status)) attempt = delays.length;
+            } catch (err) {
+                error = err.message;
+            }
+
+            if (attempt >= delays.length) {
+                log.error(`[NOTIFY] Webhook ${hook.url} failed for ${event.type}: ${error}`);
+                logDelivery({ channel: 'webhook', target: hook.url, type: event.type, ok: false, attempts: attempt + 1, error });
+                return false;
+            }
+            await sleep(delays[attempt]);
+        }
+    }
+
+    async function deliverEmail(recipients, message, type) {
+        if (!sendMail) {
+            logDelivery({ channel: 'email', target: recipients.join(', '), type, ok: false, error: 'SMTP is not configured' });
+            return false;
+        }
+        try {
+            await sendMail({ to: recipients, ...message });
+            logDelivery({ channel: 'email', target: recipients.join(', '), type, ok: true });
+            return true;
+        } catch (err) {
+            log.error(`[NOTIFY] Email for ${type} failed: ${err.message}`);
+            logDelivery({ channel: 'email', target: recipients.join(', '), type, ok: false, error: err.message });
+            return false;
+        }
+    }
+
+    const queueForDigest = (event) => digest.update(state => {
+        state.events.push(event);
+    }).catch(err => log.error('[NOTIFY] Could not queue the digest event:', err.message));
+
+    /**
+     * Sends an event to all subscribed channels in the background. Never throws, so a failing
+     * mail server or webhook receiver cannot break the request that caused the event.
+     */
+    function notify(type, data) {
+        const event = { id: crypto.randomUUID(), type, time: new Date().toISOString(), data };
+        const { email, webhooks } = current();
+
+        const jobs = webhooks.filter(h => h.events.includes(type)).map(hook => deliverWebhook(hook, event));
+        if (email.recipients.length && email.events.includes(type)) {
+            jobs.push(email.digest ? queueForDigest(event) : deliverEmail(email.recipients, format(event), type));
+        }
+        return Promise.all(jobs).catch(err => log.error('[NOTIFY]', err));
+    }
+
+    // Sends a test event to every configured channel regardless of the subscriptions, without retries
+    async function sendTest(data) {
+        const event = { id: crypto.randomUUID(), type: 'test', time: new Date().toISOString(), data };
+        const { email, webhooks } = current();
+        const results = { email: null, webhooks: [] };
+        if (email.recipients.length) results.email = await deliverEmail(email.recipients, format(event), 'test');
+        for (const hook of webhooks) {
+            results.webhooks.push({ id: hook.id, ok: await deliverWebhook(hook, event, []) });
+        }
+        return results;
+    }
+
+    // Sends the queued events as one email and empties the queue. Resolves with the number of events sent.
+    async function sendDigest() {
+        const { email } = current();
+        const state = digest.read();
+        const today = localDate(new Date());
+        if (!state.events.length || !email.recipients.length) {
+            await digest.update(value => { value.lastSentOn = today; });
+            return 0;
+        }
+
+        const sent = await deliverEmail(email.recipients, formatDigest(state.events), 'digest');
+        if (!sent) return 0;
+        // Events queued while the mail was sent stay for the next digest
+        await digest.update(value => {
+            value.events = value.events.filter(e => !state.events.some(s => s.id === e.id));
+            value.lastSentOn = today;
+        });
+        return state.events.length;
+    }
+
+    // Checks every few minutes whether today's digest is due (at `hour` o'clock server time). Returns a stop function.
+    function startDigestSchedule(hour) {
+        const check = () => {
+            const now = new Date();
+            let state;
+            try {
+                state = digest.read();
+            } catch (err) {
+                // A corrupt digest file must not end the process from inside the timer, the next tick tries again
+                log.error('[NOTIFY] Digest check failed:', err.message);
+                return;
+            }
+            const today = localDate(now);
+            if (now.getHours() >= hour && state.lastSentOn !== today) {
+                sendDigest().catch(err => log.error('[NOTIFY] Digest failed:', err.message));
+            }
+        };
+        const timer = setInterval(check, 5 * 60 * 1000).unref();
+        return () => clearInterval(timer);
+    }
+
+    return {
+        current,
+        notify,
+        sendTest,
+        sendDigest,
+        startDigestSchedule,
+        deliveries: () => deliveries
+    };
+}
+
+module.exports = { EVENT_TYPES, parseSettings, signPayload, createNotifier };
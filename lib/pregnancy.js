@@ -0,0 +1,122 @@
+// Pregnancy tracker: dates, the weekly size comparison and unit conversion.
+// Dates are naive wall-clock values ("2026-08-20T00:00:00"), calculated in UTC like the bets.
+
+const PREGNANCY_DAYS = 280;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const UNIT_SYSTEMS = ['metric', 'imperial'];
+
+// Typical length (cm, crown to heel from week 21) and weight (g) per week of pregnancy.
+// The comparison itself is translated on the client (`fruit.<week>`).
+const WEEKS = [
+    { week: 4, emoji: '🔴', lengthCm: 0.2, weightG: null },
+    { week: 5, emoji: '🍏', lengthCm: 0.3, weightG: null },
+    { week: 6, emoji: '🟢', lengthCm: 0.5, weightG: null },
+    { week: 7, emoji: '🫐', lengthCm: 1, weightG: null },
+    { week: 8, emoji: '🍓', lengthCm: 1.5, weightG: 1 },
+    { week: 9, emoji: '🫒', lengthCm: 2.5, weightG: 2 },
+    { week: 10, emoji: '🪙', lengthCm: 3, weightG: 4 },
+    { week: 11, emoji: '🍋', lengthCm: 4, weightG: 7 },
+    { week: 12, emoji: '🥝', lengthCm: 5, weightG: 14 },
+    { week: 13, emoji: '🍑', lengthCm: 7, weightG: 23 },
+    { week: 14, emoji: '🍋', lengthCm: 8.5, weightG: 43 },
+    { week: 15, emoji: '🍎', lengthCm: 10, weightG: 70 },
+    { week: 16, emoji: '🥑', lengthCm: 11.5, weightG: 100 },
+    { week: 17, emoji: '🧅', lengthCm: 13, weightG: 140 },
+    { week: 18, emoji: '🫑', lengthCm: 14, weightG: 190 },
+    { week: 19, emoji: '🥭', lengthCm: 15, weightG: 240 },
+    { week: 20, emoji: '🍌', lengthCm: 16, weightG: 300 },
+    { week: 21, emoji: '🥕', lengthCm: 26, weightG: 360 },
+    { week: 22, emoji: '🥥', lengthCm: 27, weightG: 430 },
+    { week: 23, emoji: '🍆', lengthCm: 28, weightG: 500 },
+    { week: 24, emoji: '🌽', lengthCm: 30, weightG: 600 },
+    { week: 25, emoji: '🥦', lengthCm: 34, weightG: 660 },
+    { week: 26, emoji: '🥬', lengthCm: 35, weightG: 760 },
+    { week: 27, emoji: '🍠', lengthCm: 36, weightG: 875 },
+    { week: 28, emoji: '🍍', lengthCm: 37, weightG: 1000 },
+    { week: 29, emoji: '🍈', lengthCm: 38, weightG: 1150 },
+    { week: 30, emoji: '🥬', lengthCm: 39, weightG: 1320 },
+    { week: 31, emoji: '🥒', lengthCm: 41, weightG: 1500 },
+    { week: 32, emoji: '🎃', lengthCm: 42, weightG: 1700 },
+    { week: 33, emoji: '🍍', lengthCm: 43, weightG: 1900 },
+    { week: 34, emoji: '🍈', lengthCm: 45, weightG: 2150 },
+    { week: 35, emoji: '🥥', lengthCm: 46, weightG: 2380 },
+    { week: 36, emoji: '🥬', lengthCm: 47, weightG: 2620 },
+    { week: 37, emoji: '🍉', lengthCm: 48, weightG: 2860 },
+    { week: 38, emoji: '🎃', lengthCm: 49, weightG: 3080 },
+    { week: 39, emoji: '🍉', lengthCm: 50, weightG: 3290 },
+    { week: 40, emoji: '👶', lengthCm: 51, weightG: 3460 }
+];
+
+const round = (value, digits) => Math.round(value * Math.pow(10, digits)) / Math.pow(10, digits);
+
+// Naive "YYYY-MM-DD" or "YYYY-MM-DDTHH:mm[:ss]" -> UTC timestamp, NaN if invalid.
+// Impossible dates like "2026-02-30" or "24:00" would roll over, so the value has to read back unchanged.
+const parseNaive = (value) => {
+    if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}(T\d{2}:\d{2}(:\d{2})?)?$/.test(value)) return NaN;
+    const timestamp = Date.parse(value.length === 10 ? `${value}T00:00:00Z` : `${value}Z`);
+    if (Number.isNaN(timestamp) || new Date(timestamp).toISOString().slice(0, value.length) !== value) return NaN;
+    return timestamp;
+};
+const formatNaive = (timestamp) => new Date(timestamp).toISOString().slice(0, 19);
+
+/**
+ * Start (first day of the last period) and due date of the pregnancy. Either one can be configured,
+ * the other is derived with the usual 280 days; with both, both are used as they are.
+ * Throws for invalid dates, so a typo in the configuration fails on start-up.
+ */
+function resolvePregnancyDates({ dueDate, startDate }) {
+    const due = dueDate ? parseNaive(dueDate) : null;
+    const start = startDate ? parseNaive(startDate) : null;
+    if (Number.isNaN(due)) throw new Error(`Invalid DUE_DATE "${dueDate}", expected YYYY-MM-DDTHH:mm:ss`);
+    if (Number.isNaN(start)) throw new Error(`Invalid PREGNANCY_START "${startDate}", expected YYYY-MM-DD`);
+    if (due !== null && start !== null && start >= due) throw new Error('PREGNANCY_START must be before DUE_DATE');
+
+    const resolvedDue = due !== null ? due : start + PREGNANCY_DAYS * DAY_MS;
+    const resolvedStart = start !== null ? start : resolvedDue - PREGNANCY_DAYS * DAY_MS;
+    return { startDate: formatNaive(resolvedStart), dueDate: formatNaive(resolvedDue) };
+}
+
+// { value, unit } in the given unit system; small lengths in mm, heavy weights in kg / lb
+function convertLength(cm, units) {
+    if (cm === null || cm === undefined) return null;
+    if (units === 'imperial') return { value: round(cm / 2.54, 1), unit: 'in' };
+    return cm < 1 ? { value: round(cm * 10, 1), unit: 'mm' } : { value: round(cm, 1), unit: 'cm' };
+}
+
+function convertWeight(grams, units) {
+    if (grams === null || grams === undefined) return null;
+    if (units === 'imperial') {
+        const ounces = grams / 28.349523125;
+        return ounces < 16 ? { value: round(ounces, 1), unit: 'oz' } : { value: round(ounces / 16, 1), unit: 'lb' };
+    }
+    return grams < 1000 ? { value: round(grams, 0), unit: 'g' } : { value: round(grams / 1000, 2), unit: 'kg' };
+}
+
+// The week table for the client, sizes converted to the configured unit system
+const weekTable = (units) => WEEKS.map(w => ({
+    week: w.week,
+    emoji: w.emoji,
+    length: convertLength(w.lengthCm, units),
+    weight: convertWeight(w.weightG, units)
+}));
+
+// Birth details for the post-birth mode; null while the baby is not born (no result recorded)
+function birthDetails(result, units) {
+    if (!result) return null;
+    return {
+        date: result.date,
+        time: result.time,
+        weight: convertWeight(result.weight, units),
+        size: convertLength(result.size, units)
+    };
+}
+
+module.exports = {
+    PREGNANCY_DAYS,
+    UNIT_SYSTEMS,
+    resolvePregnancyDates,
+    convertLength,
+    convertWeight,
+    weekTable,
+    birthDetails
+};
@@ -0,0 +1,133 @@
+// Minimal SMTP client for the notification emails: plain text mails over an unencrypted
+// connection, STARTTLS (when the server offers it) or implicit TLS (port 465), with AUTH PLAIN.
+const net = require('net');
+const tls = require('tls');
+const os = require('os');
+const crypto = require('crypto');
+
+const TIMEOUT_MS = 15 * 1000;
+
+// Collects the server's replies. Multi-line replies ("250-...") end with a line "250 ...".
+function createReader(socket) {
+    let buffer = '';
+    let lines = [];
+    const replies = [];
+    const waiting = [];
+    let failure = null;
+
+    const deliver = () => {
+        while (replies.length && waiting.length) waiting.shift().resolve(replies.shift());
+        if (failure) waiting.splice(0).forEach(w => w.reject(failure));
+    };
+    const onData = (chunk) => {
+        buffer += chunk.toString('utf8');
+        let index;
+        while ((index = buffer.indexOf('\n')) !== -1) {
+            const line = buffer.slice(0, index).replace(/\r$/, '');
+            buffer = buffer.slice(index + 1);
+            lines.push(line);
+            if (/^\d{3}( |$)/.test(line)) {
+                replies.push({ code: parseInt(line.slice(0, 3), 10), lines: lines.map(l => l.slice(4)) });
+                lines = [];
+            }
+        }
+        deliver();
+    };
+    const onEnd = (err) => {
+        failure = err instanceof Error ? err : new Error('SMTP connection closed');
+        deliver();
+    };
+
+    socket.on('data', onData);
+    socket.on('error', onEnd);
+    socket.on('close', onEnd);
+
+    return {
+        next: () => new Promise((resolve, reject) => {
+            waiting.push({ resolve, reject });
+            deliver();
+        }),
+        detach: () => {
+            socket.off('data', onData);
+            socket.off('error', onEnd);
+            socket.off('close', onEnd);
+        }
+    };
+}
+
+const connect = ({ host, port, secure }) => new Promise((resolve, reject) => {
+    const socket = secure ? tls.connect({ host, port, servername: host }) : net.connect({ host, port });
+    socket.once(secure ? 'secureConnect' : 'connect', () => resolve(socket));
+    socket.once('error', reject);
+});
+
+// Non-ASCII header values as RFC 2047 encoded words
+const encodeHeader = (value) => (/^[\x20-\x7e]*$/.test(value) ? value : `=?UTF-8?B?${Buffer.from(value).toString('base64')}?=`);
+
+function buildMessage({ from, to, subject, text }) {
+    const body = Buffer.from(text.replace(/\r?\n/g, '\r\n')).toString('base64').replace(/.{76}/g, '$&\r\n');
+    return [
+        `From: ${from}`,
+        `To: ${to.join(', ')}`,
+        `Subject: ${encodeHeader(subject)}`,
+        `Date: ${new Date().toUTCString()}`,
+        `Message-ID: <${crypto.randomUUID()}@${from.split('@')[1] || os.hostname()}>`,
+        'MIME-Version: 1.0',
+        'Content-Type: text/plain; charset=utf-8',
+        'Content-Transfer-Encoding: base64',
+        '',
+        body
+    ].join('\r\n');
+}
+
+/**
+ * Sends one plain text mail. `server` is { host, port, secure, user, pass }.
+ * Rejects with an Error containing the server's reply if any step fails.
+ */
+async function sendMail(server, { from, to, subject, text }) {
+    let socket = await connect(server);
+    socket.setTimeout(TIMEOUT_MS, () => socket.destroy(new Error('SMTP timeout')));
+    let reader = createReader(socket);
+
+    const command = async (line, expected, label = line.split(' ')[0]) => {
+        if (line !== null) socket.write(`${line}\r\n`);
+        const reply = await reader.next();
+        if (!expected.includes(reply.code)) throw new Error(`SMTP ${label} failed: ${reply.code} ${reply.lines.join(' ')}`);
+        return reply;
+    };
+
+    try {
+        await command(null, [220], 'greeting');
+        let ehlo = await command(`EHLO ${os.hostname()}`, [250]);
+
+        if (!server.secure && ehlo.lines.some(l => /^STARTTLS\b/i.test(l))) {
+            await command('STARTTLS', [220]);
+            reader.detach();
+            // Errors of the plain socket surface on the TLS socket
+            socket.on('error', () => { });
+            socket = tls.connect({ socket, servername: server.host });
+            await new Promise((resolve, reject) => socket.once('secureConnect', resolve).once('error', reject));
+            reader = createReader(socket);
+            ehlo = await command(`EHLO ${os.hostname()}`, [250]);
+        }
+        if (server.user) {
+            const credentials = Buffer.from(`\u0000${server.user}\u0000${server.pass || ''}`).toString('base64');
+            await command(`AUTH PLAIN ${credentials}`, [235], 'AUTH');
+        }
+
+        await command(`MAIL FROM:<${from.replace(/^.*<|>.*$/g, '')}>`, [250], 'MAIL FROM');
+        for (const recipient of to) {
+            await command(`RCPT TO:<${recipient}>`, [250, 251], 'RCPT TO');
+        }
+        await command('DATA', [354]);
+        // Lines starting with a dot are escaped ("dot stuffing"), a single dot ends the message
+        const message = buildMessage({ from, to, subject, text }).replace(/^\./gm, '..');
+        await command(`${message}\r\n.`, [250], 'message');
+        await command('QUIT', [221]).catch(() => { });
+    } finally {
+        reader.detach();
+        socket.destroy();
+    }
+}
+
+module.exports = { sendMail };
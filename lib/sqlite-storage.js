@@ -0,0 +1,145 @@
+const { createQueue, StorageError } = require('./storage');
+
+// Lists are stored one row per record, single values (e.g. the birth result) as one document.
+// Records keep their JSON shape in `data`, so new fields need no schema migration.
+const SCHEMA = `
+    CREATE TABLE IF NOT EXISTS records (
+        collection TEXT NOT NULL,
+        id TEXT NOT NULL,
+        position INTEGER NOT NULL,
+        data TEXT NOT NULL,
+        PRIMARY KEY (collection, id)
+    );
+    CREATE TABLE IF NOT EXISTS documents (
+        collection TEXT PRIMARY KEY,
+        data TEXT NOT NULL
+    );
+`;
+
+function openDatabase(file) {
+    let Database;
+    try {
+        Database = require('better-sqlite3');
+    } catch (err) {
+        throw new Error('STORAGE_DRIVER=sqlite requires the "better-sqlite3" package. Run `npm install better-sqlite3`.');
+    }
+    const sqlite = new Database(file);
+    sqlite.pragma('journal_mode = WAL');
+    sqlite.exec(SCHEMA);
+    return sqlite;
+}
+
+const parse = (collection, json) => {
+    try {
+        return JSON.parse(json);
+    } catch (err) {
+        throw new StorageError(`Could not parse a record in ${collection}: ${err.message}`, collection);
+    }
+};
+
+/**
+ * SQLite driver: all collections in one database file.
+ * Exposes the same collection interface as the JSON driver (read, update, set).
+ */
+function createSqliteStore(file) {
+    const sqlite = openDatabase(file);
+
+    const statements = {
+        selectRecords: sqlite.prepare('SELECT id, position, data FROM records WHERE collection = ? ORDER BY position'),
+        upsertRecord: sqlite.prepare(`INSERT INTO records (collection, id, position, data) VALUES (?, ?, ?, ?)
+            ON CONFLICT (collection, id) DO UPDATE SET position = excluded.position, data = excluded.data`),
+        deleteRecord: sqlite.prepare('DELETE FROM records WHERE collection = ? AND id = ?'),
+        selectDocument: sqlite.prepare('SELECT data FROM documents WHERE collection = ?'),
+        upsertDocument: sqlite.prepare(`INSERT INTO documents (collection, data) VALUES (?, ?)
+            ON CONFLICT (collection) DO UPDATE SET data = excluded.data`)
+    };
+
+    const listCollection = (name) => {
+        const enqueue = createQueue();
+
+        const rows = () => statements.selectRecords.all(name);
+        const read = () => rows().map(row => parse(name, row.data));
+
+        // Only rows that were added, changed or moved are written.
+        // The id is the row key, so a second record with the same id is refused instead of replacing the first.
+        const persist = sqlite.transaction((previousRows, list) => {
+            const previous = new Map(previousRows.map(row => [row.id, row]));
+            const seen = new Set();
+
+            list.forEach((record, position) => {
+                if (!record || record.id === undefined || record.id === null) {
+                    throw new StorageError(`Record without id in ${name}`, name);
+                }
+                const id = String(record.id);
+                if (seen.has(id)) throw new StorageError(`Duplicate id "${id}" in ${name}`, name);
+                const data = JSON.stringify(record);
+                const old = previous.get(id);
+                seen.add(id);
+                if (!old || old.data !== data || old.position !== position) {
+                    statements.upsertRecord.run(name, id, position, data);
+                }
+            });
+
+            previous.forEach((row, id) => {
+                if (!seen.has(id)) statements.deleteRecord.run(name, id);
+            });
+        });
+
+        return {
+            read,
+            update(fn) {
+                return enqueue(async () => {
+                    const previousRows = rows();
+                    const list = previousRows.map(row => parse(name, row.data));
+                    const result = await fn(list);
+                    persist(previousRows, list);
+                    return result;
+                });
+            },
+            set(list) {
+                return enqueue(async () => {
+                    persist(rows(), list);
+                    return list;
+                });
+            }
+        };
+    };
+
+    const valueCollection = (name, defaultValue) => {
+        const enqueue = createQueue();
+
+        const read = () => {
+            const row = statements.selectDocument.get(name);
+            return row ? parse(name, row.data) : JSON.parse(JSON.stringify(defaultValue));
+        };
+
+        return {
+            read,
+            update(fn) {
+                return enqueue(async () => {
+                    const data = read();
+                    const result = await fn(data);
+                    statements.upsertDocument.run(name, JSON.stringify(data));
+                    return result;
+                });
+            },
+            set(value) {
+                return enqueue(async () => {
+                    statements.upsertDocument.run(name, JSON.stringify(value));
+                    return value;
+                });
+            }
+        };
+    };
+
+    return {
+        driver: 'sqlite',
+        file,
+        collection: (name, { defaultValue = [] } = {}) => Array.isArray(defaultValue)
+            ? listCollection(name)
+            : valueCollection(name, defaultValue),
+        close: () => sqlite.close()
+    };
+}
+
+module.exports = { createSqliteStore };
@@ -0,0 +1,150 @@
+const fs = require('fs');
+const path = require('path');
+
+// Number of rotating backups kept per collection (names.json.1 is the newest)
+const BACKUP_COUNT = 5;
+
+class StorageError extends Error {
+    constructor(message, file) {
+        super(message);
+        this.name = 'StorageError';
+        this.file = file;
+    }
+}
+
+const clone = (value) => JSON.parse(JSON.stringify(value));
+
+// Copies the current (known-good) file into the backup directory and shifts older backups up by one
+function rotateBackups(file, backupDir) {
+    if (!fs.existsSync(file)) return;
+    if (!fs.existsSync(backupDir)) fs.mkdirSync(backupDir, { recursive: true });
+
+    const base = path.join(backupDir, path.basename(file));
+    for (let i = BACKUP_COUNT - 1; i >= 1; i--) {
+        if (fs.existsSync(`${base}.${i}`)) fs.renameSync(`${base}.${i}`, `${base}.${i + 1}`);
+    }
+    fs.copyFileSync(file, `${base}.1`);
+}
+
+// Writes to a temp file, flushes it to disk and renames it over the target.
+// A crash at any point leaves either the old or the new file, never a half-written one.
+async function atomicWrite(file, data) {
+    const tmp = `${file}.${process.pid}.tmp`;
+    const handle = await fs.promises.open(tmp, 'w');
+    try {
+        await handle.writeFile(JSON.stringify(data, null, 2));
+        await handle.sync();
+    } finally {
+        await handle.close();
+    }
+    await fs.promises.rename(tmp, file);
+}
+
+// Serializes async tasks: each task starts after the previous one has settled
+function createQueue() {
+    let queue = Promise.resolve();
+    return (task) => {
+        const run = queue.then(task);
+        // Keep the queue alive after a failed task
+        queue = run.catch(() => { });
+        return run;
+    };
+}
+
+/**
+ * JSON driver: a single JSON file holding one collection.
+ * Reads are synchronous and always see the last completed write.
+ * Writes are queued so that concurrent requests never overwrite each other.
+ */
+function createCollection(file, { defaultValue = [], backupDir = path.join(path.dirname(file), 'backups') } = {}) {
+    const enqueue = createQueue();
+
+    if (!fs.existsSync(file)) {
+        fs.writeFileSync(file, JSON.stringify(defaultValue, null, 2));
+    }
+
+    // Throws a StorageError instead of silently returning an empty list,
+    // so a corrupt file is never overwritten with "nothing".
+    const read = () => {
+        let raw;
+        try {
+            raw = fs.readFileSync(file, 'utf8');
+        } catch (err) {
+            if (err.code === 'ENOENT') return clone(defaultValue);
+            throw new StorageError(`Could not read ${path.basename(file)}: ${err.message}`, file);
+        }
+        try {
+            return JSON.parse(raw);
+        } catch (err) {
+            console.error(`[STORAGE] ${path.basename(file)} is corrupt, refusing to write until it is repaired.`);
+            throw new StorageError(`Could not parse ${path.basename(file)}: ${err.message}`, file);
+        }
+    };
+
+    return {
+        file,
+        read,
+
+        // Runs fn(data) with the current data, then persists the (mutated) data.
+        // Resolves with whatever fn returns. If fn throws, nothing is written.
+        update(fn) {
+            return enqueue(async () => {
+                const data = read();
+                const result = await fn(data);
+                rotateBackups(file, backupDir);
+                await atomicWrite(file, data);
+                return result;
+            });
+        },
+
+        // Replaces the whole value
+        set(value) {
+            return enqueue(async () => {
+                read(); // Refuse to replace a file that failed to parse
+                rotateBackups(file, backupDir);
+                await atomicWrite(file, value);
+                return value;
+            });
+        }
+    };
+}
+
+// All collections of the dashboard with their empty value.
+// Arrays are lists of records with an `id`, anything else is stored as a single value.
+const COLLECTIONS = {
+    names: [],
+    wishlist: [],
+    bets: [],
+    offers: [],
+    result: null,
+    guests: [],
+    duels: [],
+    betFields: [],
+    news: [],
+    guestbook: [],
+    visits: [],
+    appointments: [],
+    notifications: null,
+    notificationDigest: { events: [], lastSentOn: null }
+};
+
+/**
+ * Opens the storage backend selected by `driver`.
+ * Both drivers hand out collections with the same interface: read(), update(fn) and set(value).
+ *   - json:   one file per collection in dataDir (default)
+ *   - sqlite: a single dashboard.db in dataDir, requires the optional better-sqlite3 dependency
+ */
+function createStore({ driver = 'json', dataDir }) {
+    if (driver === 'sqlite') {
+        const { createSqliteStore } = require('./sqlite-storage');
+        return createSqliteStore(path.join(dataDir, 'dashboard.db'));
+    }
+    if (driver !== 'json') throw new Error(`Unknown storage driver "${driver}" (expected "json" or "sqlite")`);
+
+    return {
+        driver,
+        collection: (name, options = {}) => createCollection(path.join(dataDir, `${name}.json`), options)
+    };
+}
+
+module.exports = { createStore, createCollection, createQueue, StorageError, COLLECTIONS, BACKUP_COUNT };
@@ -0,0 +1,132 @@
+// Minimal POSIX tar (ustar) writing and reading for the backup archives.
+// Only regular files and directories, names up to 100 bytes - enough for data/*.json and uploads/*.
+const { Writable } = require('stream');
+
+const BLOCK = 512;
+const END_OF_ARCHIVE = Buffer.alloc(BLOCK * 2);
+
+const padding = (size) => (BLOCK - (size % BLOCK)) % BLOCK;
+
+const writeOctal = (block, value, offset, length) => {
+    block.write(value.toString(8).padStart(length - 1, '0'), offset, length - 1, 'ascii');
+};
+
+const checksum = (block) => {
+    let sum = 0;
+    for (let i = 0; i < BLOCK; i++) sum += i >= 148 && i < 156 ? 32 : block[i];
+    return sum;
+};
+
+function createHeader(name, size, mtime = new Date()) {
+    if (Buffer.byteLength(name) > 100) throw new Error(`File name too long for the archive: ${name}`);
+    const block = Buffer.alloc(BLOCK);
+    block.write(name, 0, 100, 'utf8');
+    writeOctal(block, 0o644, 100, 8);
+    writeOctal(block, 0, 108, 8);
+    writeOctal(block, 0, 116, 8);
+    writeOctal(block, size, 124, 12);
+    writeOctal(block, Math.floor(mtime.getTime() / 1000), 136, 12);
+    block.write('0', 156, 1, 'ascii');
+    block.write('ustar\u000000', 257, 8, 'ascii');
+    writeOctal(block, checksum(block), 148, 7);
+    block[155] = 32;
+    return block;
+}
+
+// Waits for 'drain' when the stream's buffer is full, so large archives are not held in memory
+const write = (output, chunk) => new Promise(resolve => {
+    if (output.write(chunk)) resolve();
+    else output.once('drain', resolve);
+});
+
+/**
+ * Writes a tar archive to `output` (e.g. a gzip stream) and ends it.
+ * `entries` is an (async) iterable of { name, data: Buffer, mtime }.
+ */
+async function writeTar(output, entries) {
+    for await (const { name, data, mtime } of entries) {
+        await write(output, createHeader(name, data.length, mtime));
+        await write(output, data);
+        await write(output, Buffer.alloc(padding(data.length)));
+    }
+    await write(output, END_OF_ARCHIVE);
+    output.end();
+}
+
+const readString = (block, offset, length) => {
+    const end = block.indexOf(0, offset);
+    return block.toString('utf8', offset, end === -1 || end > offset + length ? offset + length : end);
+};
+
+const readOctal = (block, offset, length) => parseInt(readString(block, offset, length).trim() || '0', 8);
+
+/**
+ * Writable stream that parses a tar archive and calls `onEntry({ name, size }, data)` for every file.
+ * Each file is buffered completely, `maxEntryBytes` keeps a single file from filling the memory.
+ * Fails with an Error for anything that is not a well-formed archive.
+ */
+class TarParser extends Writable {
+    constructor(onEntry, { maxEntryBytes = 50 * 1024 * 1024 } = {}) {
+        super();
+        this.onEntry = onEntry;
+        this.maxEntryBytes = maxEntryBytes;
+        this.chunks = [];
+        this.buffered = 0;
+        this.entry = null;
+        this.ended = false;
+    }
+
+    take(length) {
+        const all = Buffer.concat(this.chunks, this.buffered);
+        this.chunks = [all.subarray(length)];
+        this.buffered -= length;
+        return all.subarray(0, length);
+    }
+
+    _write(chunk, encoding, callback) {
+        if (this.ended) return callback();
+        this.chunks.push(chunk);
+        this.buffered += chunk.length;
+        try {
+            this.parse();
+            callback();
+        } catch (err) {
+            callback(err);
+        }
+    }
+
+    parse() {
+        while (!this.ended) {
+            if (!this.entry) {
+                if (this.buffered < BLOCK) return;
+                const block = this.take(BLOCK);
+                if (block.every(byte => byte === 0)) {
+                    this.ended = true;
+                    return;
+                }
+                if (readOctal(block, 148, 8) !== checksum(block)) throw new Error('Checksum mismatch, the archive is corrupt');
+
+                const prefix = readString(block, 345, 155);
+                const name = readString(block, 0, 100);
+                const size = readOctal(block, 124, 12);
+                const type = String.fromCharCode(block[156] || 48);
+                if (!['0', '5'].includes(type)) throw new Error(`Unsupported entry type "${type}" for ${name}`);
+                if (size > this.maxEntryBytes) throw new Error(`${name} is too large`);
+                this.entry = { name: prefix ? `${prefix}/${name}` : name, size, type };
+            }
+
+            const total = this.entry.size + padding(this.entry.size);
+            if (this.buffered < total) return;
+            const data = this.take(total).subarray(0, this.entry.size);
+            const { name, size, type } = this.entry;
+            this.entry = null;
+            if (type === '0') this.onEntry({ name, size }, data);
+        }
+    }
+
+    _final(callback) {
+        callback(this.ended ? null : new Error('Unexpected end of the archive'));
+    }
+}
+
+module.exports = { writeTar, TarParser };
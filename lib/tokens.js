@@ -0,0 +1,29 @@
+const crypto = require('crypto');
+
+// Secret links (reservation cancellation, offer management) hand out a random token once;
+// only its hash is stored, so a leaked data file doesn't grant access.
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+const createSecretToken = () => {
+    const token = crypto.randomBytes(16).toString('hex');
+    return { token, hash: hashToken(token) };
+};
+
+const checkSecretToken = (hash, token) => {
+    if (!hash || typeof token !== 'string' || !token) return false;
+    return crypto.timingSafeEqual(Buffer.from(hashToken(token)), Buffer.from(hash));
+};
+
+// Admin PINs of hosted dashboards are short, so they are stored as salted scrypt hashes ("<salt>:<hash>")
+const hashPin = (pin) => {
+    const salt = crypto.randomBytes(16).toString('hex');
+    return `${salt}:${crypto.scryptSync(String(pin), salt, 32).toString('hex')}`;
+};
+
+const checkPinHash = (stored, pin) => {
+    const [salt, hash] = String(stored || '').split(':');
+    if (!salt || !hash || typeof pin !== 'string') return false;
+    return crypto.timingSafeEqual(crypto.scryptSync(pin, salt, 32), Buffer.from(hash, 'hex'));
+};
+
+module.exports = { createSecretToken, checkSecretToken, hashPin, checkPinHash };
@@ -0,0 +1,32 @@
+// Visits after the birth: time slots published by the parents and booked by guests up to a capacity.
+// { id, date, start, end, capacity, note, bookings: [{ id, name, people, guestId, tokenHash, createdAt }], createdAt }
+
+const MAX_CAPACITY = 50;
+// Cancellation tokens one calendar feed URL may carry
+const MAX_CALENDAR_TOKENS = 20;
+
+// A booking counts everybody coming along
+const bookedPeople = (slot) => (slot.bookings || []).reduce((sum, booking) => sum + booking.people, 0);
+
+const freePlaces = (slot) => Math.max(0, slot.capacity - bookedPeople(slot));
+
+// Dates and times are the dashboard's local wall-clock time, like the birth guesses
+const isOver = (slot, now = new Date()) => new Date(`${slot.date}T${slot.end}`) <= now;
+
+// Earliest first
+const sortSlots = (slots) => [...slots].sort((a, b) => `${a.date}T${a.start}`.localeCompare(`${b.date}T${b.start}`));
+
+// Guests see how full a slot is, never who is coming. The booking IDs let a browser check that
+// the bookings it holds a cancellation token for still exist.
+const publicSlot = (slot) => {
+    const { bookings, ...rest } = slot;
+    return { ...rest, booked: bookedPeople(slot), free: freePlaces(slot), bookingIds: (bookings || []).map(b => b.id) };
+};
+
+// The parents see the bookings too, without the token hashes
+const adminSlot = (slot) => ({
+    ...publicSlot(slot),
+    bookings: (slot.bookings || []).map(({ tokenHash, ...booking }) => booking)
+});
+
+module.exports = { MAX_CAPACITY, MAX_CALENDAR_TOKENS, bookedPeople, freePlaces, isOver, sortSlots, publicSlot, adminSlot };
@@ -0,0 +1,90 @@
+// Group gifts: wishes with a desired quantity > 1 or a target amount collect pledges
+// from several contributors instead of a single reservation.
+
+const isGroupGift = (item) => (item.quantity || 1) > 1 || !!item.targetAmount;
+
+// Amount pledges when a target amount is set, otherwise units
+const pledgeMode = (item) => item.targetAmount ? 'amount' : 'units';
+
+const pledgeGoal = (item) => pledgeMode(item) === 'amount' ? item.targetAmount : (item.quantity || 1);
+
+const pledgedTotal = (item) => {
+    const key = pledgeMode(item) === 'amount' ? 'amount' : 'units';
+    const total = (item.pledges || []).reduce((sum, p) => sum + (p[key] || 0), 0);
+    return Math.round(total * 100) / 100;
+};
+
+const remaining = (item) => Math.max(0, Math.round((pledgeGoal(item) - pledgedTotal(item)) * 100) / 100);
+
+// Recomputes the progress of a group gift in place. The item counts as reserved
+// (fulfilled) only once the quantity or amount is fully covered.
+function updatePledgeStatus(item) {
+    if (!isGroupGift(item) && !(item.pledges || []).length) return item;
+
+    item.pledged = pledgedTotal(item);
+    item.reserved = item.pledged >= pledgeGoal(item);
+    return item;
+}
+
+// Prices are entered as free text ("ca. 49,99 €", "$30"). The first number and a currency
+// symbol or code are parsed from it, so the list can be sorted and totalled.
+const CURRENCY_SYMBOLS = { '€': 'EUR', '$': 'USD', '£': 'GBP', '¥': 'JPY' };
+const CURRENCY_CODES = ['EUR', 'USD', 'GBP', 'CHF', 'JPY', 'SEK', 'NOK', 'DKK', 'PLN', 'CZK', 'CAD', 'AUD'];
+
+const parseNumber = (text) => {
+    const match = String(text).match(/\d[\d.,' ]*/);
+    if (!match) return null;
+    let number = match[0].trim().replace(/[' ]/g, '');
+    const lastDot = number.lastIndexOf('.');
+    const lastComma = number.lastIndexOf(',');
+
+    if (lastDot !== -1 && lastComma !== -1) {
+        // "1.299,00" or "1,299.00": the last separator is the decimal one
+        const decimal = lastComma > lastDot ? ',' : '.';
+        number = number.split(decimal === ',' ? '.' : ',').join('').replace(',', '.');
+    } else if (lastComma !== -1 || lastDot !== -1) {
+        // A single kind of separator followed by 1-2 digits is a decimal separator ("49,99"), otherwise thousands ("1.500")
+        const separator = lastComma !== -1 ? ',' : '.';
+        const parts = number.split(separator);
+        number = parts.length === 2 && parts[1].length <= 2
+            ? `${parts[0]}.${parts[1]}`
+            : parts.join('');
+    }
+    const value = parseFloat(number);
+    return Number.isFinite(value) ? Math.round(value * 100) / 100 : null;
+};
+
+const parseCurrency = (text) => {
+    const upper = String(text).toUpperCase();
+    const code = CURRENCY_CODES.find(c => new RegExp(`\\b${c}\\b`).test(upper));
+    if (code) return code;
+    const symbol = Object.keys(CURRENCY_SYMBOLS).find(sym => upper.includes(sym));
+    return symbol ? CURRENCY_SYMBOLS[symbol] : null;
+};
+
+// Returns { priceValue, currency }, both null if nothing could be parsed
+const parsePrice = (text) => ({
+    priceValue: text ? parseNumber(text) : null,
+    currency: text ? parseCurrency(text) : null
+});
+
+// Items stored before prices were parsed get their numeric price on the fly
+function upgradePrice(item, defaultCurrency) {
+    if (item.priceValue === undefined) {
+        const { priceValue, currency } = parsePrice(item.price);
+        item.priceValue = priceValue;
+        item.currency = item.currency || currency;
+    }
+    if (!item.currency) item.currency = defaultCurrency;
+    return item;
+}
+
+module.exports = {
+    isGroupGift,
+    pledgeMode,
+    pledgeGoal,
+    remaining,
+    updatePledgeStatus,
+    parsePrice,
+    upgradePrice
+};
@@ -0,0 +1,98 @@
+// Service worker: keeps the dashboard usable on flaky connections.
+// - The page, translations and icons are cached on install and refreshed whenever the network answers.
+// - Libraries from the CDN are versioned in their URL and served from the cache first.
+// - The lists below are fetched from the network first; offline the last known answer is used.
+//   Answers marked `Cache-Control: no-store` (the parents' views with emails) are never kept, so a shared
+//   device cannot show them to somebody else while offline.
+// Votes, guesses and reservations made offline are queued by the page itself (see "OFFLINE QUEUE" in index.html).
+// Each hosted dashboard registers its own worker under /<slug>/, so paths and cache names depend on the scope.
+const SCOPE = new URL(self.registration.scope).pathname;
+const CACHE_VERSION = 2;
+const SHELL_CACHE = `${SCOPE}:shell-v${CACHE_VERSION}`;
+const DATA_CACHE = `${SCOPE}:data-v${CACHE_VERSION}`;
+const CDN_CACHE = `${SCOPE}:cdn-v${CACHE_VERSION}`;
+
+const SHELL_FILES = [
+    '',
+    'manifest.webmanifest',
+    'icons/icon-192.png',
+    'locales/en.json',
+    'locales/de.json'
+].map(path => SCOPE + path);
+const CDN_FILES = [
+    'https://cdn.jsdelivr.net/npm/bootstrap@5.3.0/dist/css/bootstrap.min.css',
+    'https://cdn.jsdelivr.net/npm/bootstrap@5.3.0/dist/js/bootstrap.bundle.min.js',
+    'https://cdn.jsdelivr.net/npm/bootstrap-icons@1.11.1/font/bootstrap-icons.css',
+    'https://cdn.jsdelivr.net/npm/canvas-confetti@1.6.0/dist/confetti.browser.min.js'
+];
+const CDN_HOSTS = ['cdn.jsdelivr.net', 'fonts.googleapis.com', 'fonts.gstatic.com'];
+const DATA_PATHS = ['api/config', 'api/names', 'api/wishlist', 'api/bets', 'api/offers', 'api/visits', 'api/appointments'].map(path => SCOPE + path);
+
+self.addEventListener('install', (event) => {
+    event.waitUntil((async () => {
+        const shell = await caches.open(SHELL_CACHE);
+        await shell.addAll(SHELL_FILES);
+        // The CDN does not need to be reachable for the installation to succeed
+        const cdn = await caches.open(CDN_CACHE);
+        await Promise.all(CDN_FILES.map(url => cdn.add(url).catch(() => { })));
+        await self.skipWaiting();
+    })());
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil((async () => {
+        // Only this dashboard's old caches; the ones of other dashboards on the same origin are theirs
+        const current = [SHELL_CACHE, DATA_CACHE, CDN_CACHE];
+        const names = await caches.keys();
+        await Promise.all(names
+            .filter(name => name.startsWith(`${SCOPE}:`) && !current.includes(name))
+            .map(name => caches.delete(name)));
+        await self.clients.claim();
+    })());
+});
+
+// Answers the server marked as private to the current user
+const isNoStore = (response) => /no-store/.test(response.headers.get('Cache-Control') || '');
+
+// Network first: fresh answers are stored, offline the stored one is used.
+// The page itself is sent with no-store too (for the browser cache), so only data answers are skipped.
+async function networkFirst(request, cacheName, fallbackUrl) {
+    const cache = await caches.open(cacheName);
+    try {
+        const response = await fetch(request);
+        if (response.ok && !(cacheName === DATA_CACHE && isNoStore(response))) await cache.put(request, response.clone());
+        return response;
+    } catch (err) {
+        const cached = await cache.match(request, { ignoreVary: true }) || (fallbackUrl && await cache.match(fallbackUrl));
+        if (cached) return cached;
+        throw err;
+    }
+}
+
+async function cacheFirst(request, cacheName) {
+    const cache = await caches.open(cacheName);
+    const cached = await cache.match(request);
+    if (cached) return cached;
+    const response = await fetch(request);
+    // Cross-origin stylesheets and fonts without CORS come back "opaque" (status 0), they are fine to keep
+    if (response.ok || response.type === 'opaque') await cache.put(request, response.clone());
+    return response;
+}
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    if (request.method !== 'GET') return;
+    const url = new URL(request.url);
+
+    if (url.origin !== self.location.origin) {
+        if (CDN_HOSTS.includes(url.hostname)) event.respondWith(cacheFirst(request, CDN_CACHE));
+        return;
+    }
+    if (request.mode === 'navigate') {
+        event.respondWith(networkFirst(request, SHELL_CACHE, SCOPE));
+    } else if (DATA_PATHS.includes(url.pathname)) {
+        event.respondWith(networkFirst(request, DATA_CACHE));
+    } else if (SHELL_FILES.includes(url.pathname)) {
+        event.respondWith(networkFirst(request, SHELL_CACHE));
+    }
+});
@@ -0,0 +1,71 @@
+// One-shot migration of the JSON files in data/ into data/dashboard.db.
+//
+// Usage: npm run migrate:sqlite [-- [--force] [--dir <data directory>]]
+//   --force  overwrite collections that already contain data in the database
+//   --dir    migrate another data directory, e.g. data/dashboards/<slug> of a hosted dashboard
+//
+// The JSON files are left untouched, so switching back to STORAGE_DRIVER=json is always possible.
+const fs = require('fs');
+const path = require('path');
+const { createStore, COLLECTIONS, StorageError } = require('../lib/storage');
+const { upgradeVotedIPs } = require('../lib/names');
+
+const dirIndex = process.argv.indexOf('--dir');
+const DATA_DIR = dirIndex === -1 ? path.join(__dirname, '..', 'data') : path.resolve(process.argv[dirIndex + 1] || '');
+const force = process.argv.includes('--force');
+
+// Returns the parsed file, undefined if it does not exist. Throws on corrupt files.
+function readJsonFile(file) {
+    if (!fs.existsSync(file)) return undefined;
+    try {
+        return JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (err) {
+        throw new Error(`${path.basename(file)} is not valid JSON (${err.message}). Repair it or restore a backup first.`);
+    }
+}
+
+const isEmpty = (value) => value === null || (Array.isArray(value) && value.length === 0);
+
+async function migrate() {
+    if (!fs.existsSync(DATA_DIR)) throw new Error(`${DATA_DIR} does not exist`);
+    const sqlite = createStore({ driver: 'sqlite', dataDir: DATA_DIR });
+    let failed = false;
+
+    for (const [name, defaultValue] of Object.entries(COLLECTIONS)) {
+        const file = path.join(DATA_DIR, `${name}.json`);
+        const data = readJsonFile(file);
+        if (data === undefined) {
+            console.log(`- ${name}: no ${name}.json, skipped`);
+            continue;
+        }
+
+        const target = sqlite.collection(name, { defaultValue });
+        if (!isEmpty(target.read()) && !force) {
+            console.log(`! ${name}: database already contains data, skipped (use --force to overwrite)`);
+            failed = true;
+            continue;
+        }
+
+        if (name === 'names') data.forEach(upgradeVotedIPs);
+
+        try {
+            await target.set(data);
+        } catch (err) {
+            // e.g. two records with the same id, which one row per id cannot hold
+            if (!(err instanceof StorageError)) throw err;
+            console.log(`! ${name}: ${err.message}, nothing imported. Repair ${name}.json and run the migration again.`);
+            failed = true;
+            continue;
+        }
+        console.log(`✓ ${name}: ${Array.isArray(data) ? `${data.length} records` : 'value'} imported`);
+    }
+
+    sqlite.close();
+    console.log(`\nDone. Start the server with STORAGE_DRIVER=sqlite to use ${path.join(DATA_DIR, 'dashboard.db')}.`);
+    if (failed) process.exit(1);
+}
+
+migrate().catch(err => {
+    console.error(`Migration failed: ${err.message}`);
+    process.exit(1);
+});
@@ -1,465 +1,2415 @@
 const express = require('express');
+const crypto = require('crypto');
 const fs = require('fs');
 const path = require('path');
 const cors = require('cors');
 const rateLimit = require('express-rate-limit');
-const sharp = require('sharp');
+const multer = require('multer');
+const { createStore, createCollection, COLLECTIONS } = require('./lib/storage');
+const { HttpError, asyncRoute, parseCookies, errorHandler } = require('./lib/http');
+const { LOCALES_DIR, LANGUAGES, normalizeLanguage, translate } = require('./lib/i18n');
+const { upgradeVotedIPs, formatName, nameKey } = require('./lib/names');
+const { ratingOf, applyDuelResult, pairKey, pickPair } = require('./lib/duel');
+const { WEIGHT_RANGE, SIZE_RANGE, toBirthTimestamp, isValidDateTime, parseFieldDefinitions, parseExtraGuesses, betStats } = require('./lib/bets');
+const { UNIT_SYSTEMS, resolvePregnancyDates, weekTable, birthDetails } = require('./lib/pregnancy');
+const {
+    isGroupGift,
+    pledgeMode,
+    remaining,
+    updatePledgeStatus,
+    parsePrice,
+    upgradePrice
+} = require('./lib/wishlist');
+const { toCsv, parseCsv } = require('./lib/csv');
+const { createSecretToken, checkSecretToken, checkPinHash } = require('./lib/tokens');
+const { MAX_PHOTOS, MAX_FILE_BYTES, ICON_SIZES, processPhoto, deletePhotoFiles, deleteOfferFiles, renderIcon } = require('./lib/images');
+const { renderAtomFeed } = require('./lib/atom');
+const { renderCalendar } = require('./lib/ical');
+const { MAX_CAPACITY, MAX_CALENDAR_TOKENS, bookedPeople, freePlaces, isOver, sortSlots, publicSlot, adminSlot } = require('./lib/visits');
+const { REACTIONS, toggleReaction, myReactions } = require('./lib/guestbook');
+const { MAX_ARCHIVE_BYTES, writeBackup, readBackup, compareBackup, applyBackup, pruneSnapshots } = require('./lib/backup');
+const { createModeration, isPending, parseWordList } = require('./lib/moderation');
+const { createEventBus } = require('./lib/events');
+const { createAuth } = require('./lib/auth');
+const { createAuditLog } = require('./lib/audit');
+const { EVENT_TYPES, parseSettings, createNotifier } = require('./lib/notifications');
+const { sendMail } = require('./lib/smtp');
+const { TABS, parseTabs, parseDashboard, publicDashboard } = require('./lib/dashboards');
 
-const app = express();
 const PORT = 3000;
 const DATA_DIR = path.join(__dirname, 'data');
-const DATA_FILE = path.join(DATA_DIR, 'names.json');
-const WISHLIST_FILE = path.join(DATA_DIR, 'wishlist.json');
-const OFFERS_FILE = path.join(DATA_DIR, 'offers.json');
-const UPLOADS_DIR = path.join(DATA_DIR, 'uploads');
-const ADMIN_PIN = process.env.ADMIN_PIN || '2026';
+// Dashboards created by the super-admin keep their data in DATA_DIR/dashboards/<slug>/
+const DASHBOARDS_DIR = path.join(DATA_DIR, 'dashboards');
+const DEFAULT_ADMIN_PIN = '2026';
+// The dashboard at "/" is configured by the environment
+const ROOT_SETTINGS = {
+    title: process.env.APP_TITLE || '👶 Baby-Dashboard',
+    adminPin: process.env.ADMIN_PIN || DEFAULT_ADMIN_PIN,
+    // Pregnancy dates: DUE_DATE and/or PREGNANCY_START (first day of the last period), the other one is derived (280 days)
+    dueDate: process.env.DUE_DATE || (process.env.PREGNANCY_START ? null : '2026-08-20T00:00:00'),
+    pregnancyStart: process.env.PREGNANCY_START || null,
+    // Optional tabs shown, e.g. TABS=names,wishlist,bets (all by default)
+    tabs: process.env.TABS ? parseTabs(process.env.TABS.split(',').map(tab => tab.trim())) : TABS
+};
+// With SUPER_ADMIN_PIN set, further dashboards are created, configured and archived at /super.html
+const SUPER_ADMIN_PIN = process.env.SUPER_ADMIN_PIN || null;
+
+// The settings below apply to every dashboard of this server
+// Sessions are signed with this secret. Without SESSION_SECRET a random one is used, so admins are logged out on restart.
+const SESSION_SECRET = process.env.SESSION_SECRET || crypto.randomBytes(32).toString('hex');
+const SESSION_HOURS = parseFloat(process.env.SESSION_HOURS || '12');
+// API requests per IP and 15 minutes. One page load makes about 20, and a household often shares one IP.
+const RATE_LIMIT_MAX = parseInt(process.env.RATE_LIMIT_MAX) || 300;
+// When enabled, voting, suggesting names, betting and reserving require a personal invite link
+const REQUIRE_INVITE = process.env.REQUIRE_INVITE === 'true';
+// Keep gifts a surprise: the public wishlist only shows *that* something is taken, not by whom
+const HIDE_RESERVER_NAMES = process.env.HIDE_RESERVER_NAMES === 'true';
+// Moderation: with MODERATION=true new names, offers and bets wait for the parents' approval.
+// BLOCKLIST words are always held back for review (or refused with BLOCKLIST_ACTION=reject).
+const moderation = createModeration({
+    enabled: process.env.MODERATION === 'true',
+    blocklist: parseWordList(process.env.BLOCKLIST),
+    blocklistAction: process.env.BLOCKLIST_ACTION === 'reject' ? 'reject' : 'flag'
+});
+// Currency assumed for wishlist prices without a currency symbol or code
+const DEFAULT_CURRENCY = (process.env.CURRENCY || 'EUR').toUpperCase();
+// Default language of the UI and the error messages (see locales/). Visitors can switch, the choice is kept in the `lang` cookie.
+const LANGUAGE = normalizeLanguage(process.env.LANGUAGE) || 'en';
+// Unit system of the tracker and the birth details: metric (cm, g) or imperial (in, oz/lb)
+const UNITS = UNIT_SYSTEMS.includes(process.env.UNITS) ? process.env.UNITS : 'metric';
+const WEEK_TABLE = weekTable(UNITS);
+// Notification emails go through this SMTP server (recipients and subscriptions are set in the Admin tab)
+const SMTP = process.env.SMTP_HOST ? {
+    host: process.env.SMTP_HOST,
+    port: parseInt(process.env.SMTP_PORT) || (process.env.SMTP_SECURE === 'true' ? 465 : 587),
+    secure: process.env.SMTP_SECURE === 'true',
+    user: process.env.SMTP_USER,
+    pass: process.env.SMTP_PASS,
+    from: process.env.SMTP_FROM || process.env.SMTP_USER || 'baby-dashboard@localhost'
+} : null;
+// Seconds between the webhook delivery attempts, and the hour (server time) of the daily digest email
+const WEBHOOK_RETRY_DELAYS = (process.env.WEBHOOK_RETRY_DELAYS || '10,60,300').split(',').map(s => parseFloat(s) * 1000).filter(ms => ms >= 0);
+const DIGEST_HOUR = Math.min(Math.max(parseInt(process.env.DIGEST_HOUR ?? '8') || 0, 0), 23);
+
+// Language of the request, used for translated error messages
+const detectLanguage = (req, res, next) => {
+    req.language = normalizeLanguage(parseCookies(req.headers.cookie).lang) || LANGUAGE;
+    next();
+};
 
-// Security: Trust proxy (Cloudflare) so req.ip is correct
-app.set('trust proxy', 1);
+// Routes of the optional tabs, answered with 404 when a dashboard has switched the tab off
+const TAB_ROUTES = {
+    names: ['/api/names', '/api/vote', '/api/duel'],
+    wishlist: ['/api/wishlist'],
+    bets: ['/api/bets'],
+    offers: ['/api/offers'],
+    news: ['/api/news', '/news.atom'],
+    guestbook: ['/api/guestbook'],
+    visits: ['/api/visits', '/api/appointments']
+};
 
-// --- CONFIG ENDPOINT ---
-app.get('/api/config', (req, res) => {
-    res.json({
-        appTitle: process.env.APP_TITLE || '👶 Baby-Dashboard',
-        dueDate: process.env.DUE_DATE || '2026-08-20T00:00:00'
+// Security: Never run a public instance with the guessable default PIN
+if (process.env.NODE_ENV === 'production' && ROOT_SETTINGS.adminPin === DEFAULT_ADMIN_PIN) {
+    console.error('Refusing to start: ADMIN_PIN is not set (or still the default). Set a secure ADMIN_PIN in production.');
+    process.exit(1);
+}
+
+/**
+ * One dashboard: the page and all API routes, with its own data directory and admin PIN.
+ * basePath: URL prefix, '' for the dashboard at "/" and '/<slug>' for hosted ones
+ * settings: { title, dueDate, pregnancyStart, adminPin or adminPinHash, tabs }, read on every use,
+ *           so the super-admin can reconfigure a running dashboard
+ */
+function createDashboard({ basePath = '', dataDir, settings }) {
+    const app = express();
+    const uploadsDir = path.join(dataDir, 'uploads');
+    // Automatic snapshots taken before every restore
+    const snapshotsDir = path.join(dataDir, 'snapshots');
+    // Invalid dates fail here, at startup or when the super-admin saves them
+    const pregnancyDates = () => resolvePregnancyDates({ dueDate: settings.dueDate, startDate: settings.pregnancyStart });
+    pregnancyDates();
+    // Links in emails, feeds and exports point to this dashboard
+    const dashboardUrl = (req) => `${req.protocol}://${req.get('host')}${basePath}/`;
+
+    // Security: Trust proxy (Cloudflare) so req.ip is correct
+    app.set('trust proxy', 1);
+    app.use(detectLanguage);
+
+    // --- CONFIG ENDPOINT ---
+    app.get('/api/config', (req, res) => {
+        const { dueDate, startDate } = pregnancyDates();
+        res.json({
+            appTitle: settings.title,
+            dueDate,
+            pregnancyStart: startDate,
+            units: UNITS,
+            currency: DEFAULT_CURRENCY,
+            language: LANGUAGE,
+            languages: LANGUAGES,
+            tabs: settings.tabs
+        });
     });
-});
 
-// We apply different JSON limits per route to prevent DoS via massive payloads.
-// The default is a strict 100kb limit, but /api/offers allows 10MB because of base64 image uploads.
-app.use('/api/offers', express.json({ limit: '10mb' }));
-app.use(express.json({ limit: '100kb' }));
-app.use(cors());
-
-// Security: Basic Rate Limiting
-const limiter = rateLimit({
-    windowMs: 15 * 60 * 1000, // 15 minutes
-    max: 100, // Limit each IP to 100 requests per `window` (here, per 15 minutes)
-    message: { error: 'Too many requests from this IP.' }
-});
-app.use('/api', limiter); // Apply to all API routes
+    // --- INSTALLABLE APP (PWA) ---
+    // The manifest carries the configured title, the icons are rendered from public/icon.svg.
+    // The service worker (public/sw.js) caches the page and the last known data for offline use.
+    app.get('/manifest.webmanifest', (req, res) => {
+        const largest = ICON_SIZES[ICON_SIZES.length - 1];
+        res.type('application/manifest+json').json({
+            name: settings.title,
+            short_name: settings.title,
+            description: translate(req.language, 'app.description'),
+            lang: req.language,
+            // Hosted dashboards install with their own path
+            start_url: `${basePath}/`,
+            scope: `${basePath}/`,
+            display: 'standalone',
+            background_color: '#e73c7e',
+            theme_color: '#667eea',
+            icons: [
+                ...ICON_SIZES.map(size => ({ src: `${basePath}/icons/icon-${size}.png`, sizes: `${size}x${size}`, type: 'image/png', purpose: 'any' })),
+                // The heart stays inside the safe zone, so the largest icon can be cropped into any shape
+                { src: `${basePath}/icons/icon-${largest}.png`, sizes: `${largest}x${largest}`, type: 'image/png', purpose: 'maskable' }
+            ]
+        });
+    });
 
-// Security: Simple XSS Sanitizer for strings
-const sanitize = (str) => {
-    if (typeof str !== 'string') return str;
-    return str.replace(/</g, '&lt;').replace(/>/g, '&gt;').trim();
-};
+    app.get('/icons/icon-:size.png', asyncRoute(async (req, res) => {
+        const size = parseInt(req.params.size, 10);
+        if (!ICON_SIZES.includes(size)) throw new HttpError(404, 'notFound');
+        const png = await renderIcon(path.join(__dirname, 'public', 'icon.svg'), size);
+        res.set('Cache-Control', 'public, max-age=86400').type('image/png').send(png);
+    }));
+
+    // We apply different JSON limits per route to prevent DoS via massive payloads.
+    // The default is a strict 100kb limit, but the wishlist import allows 1MB for whole spreadsheets.
+    // Photos are uploaded as multipart/form-data with their own limits (see the offers endpoints).
+    app.use('/api/wishlist/import', express.json({ limit: '1mb' }));
+    app.use(express.json({ limit: '100kb' }));
+    app.use(cors());
+
+    // Security: Basic Rate Limiting
+    const limiter = rateLimit({
+        windowMs: 15 * 60 * 1000, // 15 minutes
+        max: RATE_LIMIT_MAX, // Limit each IP to RATE_LIMIT_MAX requests per `window` (here, per 15 minutes)
+        handler: (req, res, next) => next(new HttpError(429, 'tooManyRequests'))
+    });
+    // Apply to all API routes but the live update stream: it is one long request per open page, and
+    // reconnects after a flaky connection must not use up the limit (or be refused by it)
+    app.use('/api', (req, res, next) => (req.path === '/events' ? next() : limiter(req, res, next)));
+
+    // Tabs switched off in the settings have no API either
+    app.use((req, res, next) => {
+        const tab = Object.keys(TAB_ROUTES).find(name => !settings.tabs.includes(name)
+            && TAB_ROUTES[name].some(route => req.path === route || req.path.startsWith(`${route}/`)));
+        if (tab) throw new HttpError(404, 'tabDisabled', { tab });
+        next();
+    });
+
+    // Security: Simple XSS Sanitizer for strings
+    const sanitize = (str) => {
+        if (typeof str !== 'string') return str;
+        return str.replace(/</g, '&lt;').replace(/>/g, '&gt;').trim();
+    };
 
-// Serve static files
-app.use(express.static('public', {
-    setHeaders: (res, path, stat) => {
-        if (path.endsWith('index.html')) {
-            res.set('Cache-Control', 'no-cache, no-store, must-revalidate');
-            res.set('Pragma', 'no-cache');
-            res.set('Expires', '0');
+    // Input validation is shared by the POST (create) and PATCH (edit) routes.
+    // With `partial`, only the fields present in the body are validated and returned.
+    const has = (body, key, partial) => !partial || body[key] !== undefined;
+
+    // Serve static files
+    app.use(express.static('public', {
+        setHeaders: (res, path, stat) => {
+            // The service worker must be fetched fresh, otherwise browsers keep running an outdated one
+            if (path.endsWith('index.html') || path.endsWith('sw.js')) {
+                res.set('Cache-Control', 'no-cache, no-store, must-revalidate');
+                res.set('Pragma', 'no-cache');
+                res.set('Expires', '0');
+            }
         }
+    }));
+    app.use('/uploads', express.static(uploadsDir));
+    app.use('/locales', express.static(LOCALES_DIR));
+
+    // Ensure data directory exists
+    if (!fs.existsSync(dataDir)) {
+        fs.mkdirSync(dataDir, { recursive: true });
     }
-}));
-app.use('/uploads', express.static(UPLOADS_DIR));
 
-// Ensure data directory exists
-if (!fs.existsSync(DATA_DIR)) {
-    fs.mkdirSync(DATA_DIR, { recursive: true });
-}
+    // Ensure uploads directory exists
+    if (!fs.existsSync(uploadsDir)) {
+        fs.mkdirSync(uploadsDir, { recursive: true });
+    }
 
-// Ensure names.json exists
-if (!fs.existsSync(DATA_FILE)) {
-    fs.writeFileSync(DATA_FILE, JSON.stringify([], null, 2));
-}
+    // --- Storage ---
+    // By default every collection is one JSON file in dataDir; STORAGE_DRIVER=sqlite uses dataDir/dashboard.db.
+    // Writes are serialized per collection (see lib/storage.js).
+    const store = createStore({ driver: process.env.STORAGE_DRIVER || 'json', dataDir });
+    const db = {};
+    Object.entries(COLLECTIONS).forEach(([name, defaultValue]) => {
+        db[name] = store.collection(name, { defaultValue });
+    });
 
-// Ensure wishlist.json exists
-if (!fs.existsSync(WISHLIST_FILE)) {
-    fs.writeFileSync(WISHLIST_FILE, JSON.stringify([], null, 2));
-}
+    // --- Live Updates ---
+    // Mutation endpoints publish their changes here, the frontend patches its lists in place.
+    const events = createEventBus();
+
+    // GET /api/events (Server-Sent Events stream)
+    app.get('/api/events', events.handler);
+
+    // --- Admin Authentication & Audit Log ---
+    // Every dashboard signs its sessions with its own key and scopes the cookie to its path,
+    // so logging in to one dashboard never grants access to another
+    const auth = createAuth({
+        pin: settings.adminPin,
+        // Dashboards created by the super-admin only keep a hash of their PIN
+        verifyPin: settings.adminPinHash ? (candidate) => checkPinHash(settings.adminPinHash, candidate) : undefined,
+        // The PIN hash is part of the key, so changing a hosted dashboard's PIN logs out every admin session
+        secret: () => crypto.createHmac('sha256', SESSION_SECRET)
+            .update(settings.adminPinHash ? `dashboard:${basePath}:${settings.adminPinHash}` : `dashboard:${basePath}`)
+            .digest('hex'),
+        ttlMs: SESSION_HOURS * 60 * 60 * 1000,
+        cookieName: basePath ? `admin_session_${basePath.slice(1)}` : 'admin_session',
+        cookiePath: `${basePath}/`
+    });
+    const audit = createAuditLog(path.join(dataDir, 'audit.log'));
 
-// Ensure offers files exist
-if (!fs.existsSync(UPLOADS_DIR)) {
-    fs.mkdirSync(UPLOADS_DIR, { recursive: true });
-}
-if (!fs.existsSync(OFFERS_FILE)) {
-    fs.writeFileSync(OFFERS_FILE, JSON.stringify([], null, 2));
-}
+    // Records failed PIN attempts and lockouts, then answers 401
+    const rejectPin = (req) => {
+        audit.record(req, req.lockedOut ? 'login.locked' : 'login.failed');
+        throw new HttpError(401, 'unauthorized');
+    };
 
-// Helper to read data
-const readData = () => {
-    try {
-        const data = fs.readFileSync(DATA_FILE, 'utf8');
-        return JSON.parse(data);
-    } catch (err) {
-        return [];
-    }
-};
+    // POST /api/login - Exchange the PIN for a session cookie
+    app.post('/api/login', (req, res) => {
+        if (!auth.checkPin(req, req.body.pin)) rejectPin(req);
 
-// Helper to write data
-const writeData = (data) => {
-    fs.writeFileSync(DATA_FILE, JSON.stringify(data, null, 2));
-};
+        const session = auth.createSession();
+        auth.setSessionCookie(req, res, session);
+        audit.record(req, 'login');
+        res.json({ success: true, expiresAt: new Date(session.expiresAt).toISOString() });
+    });
 
-// Helper for wishlist
-const readWishlist = () => {
-    try {
-        const data = fs.readFileSync(WISHLIST_FILE, 'utf8');
-        return JSON.parse(data);
-    } catch (err) {
-        return [];
-    }
-};
+    // POST /api/logout
+    app.post('/api/logout', (req, res) => {
+        if (auth.verifySession(req)) audit.record(req, 'logout');
+        auth.clearSessionCookie(res);
+        res.json({ success: true });
+    });
 
-const writeWishlist = (data) => {
-    fs.writeFileSync(WISHLIST_FILE, JSON.stringify(data, null, 2));
-};
+    // GET /api/session - Is the browser logged in as admin?
+    app.get('/api/session', (req, res) => {
+        const expiresAt = auth.verifySession(req);
+        res.json({ admin: !!expiresAt, expiresAt: expiresAt ? new Date(expiresAt).toISOString() : null });
+    });
 
-// GET /api/verify-pin
-// Simple endpoint to let frontend verify PIN without hardcoding it
-app.get('/api/verify-pin', (req, res) => {
-    const pin = req.headers['x-admin-pin'];
-    if (pin === ADMIN_PIN) {
+    // GET /api/verify-pin
+    // Simple endpoint to let scripts verify the PIN header (subject to the same lockout as the login)
+    app.get('/api/verify-pin', (req, res) => {
+        if (!auth.checkPin(req, req.headers['x-admin-pin'])) rejectPin(req);
         res.json({ success: true });
-    } else {
-        res.status(401).json({ error: 'Unauthorized' });
-    }
-});
+    });
 
-// --- Names Endpoints ---
+    // GET /api/audit (Admin only) - Newest entries first
+    app.get('/api/audit', (req, res) => {
+        if (!auth.isAdmin(req)) throw new HttpError(401, 'unauthorized');
 
-// GET /api/names
-app.get('/api/names', (req, res) => {
-    res.json(readData());
-});
+        const limit = Math.min(parseInt(req.query.limit) || 200, 1000);
+        res.json(audit.read(limit));
+    });
 
-// POST /api/names (Add Suggestion)
-app.post('/api/names', (req, res) => {
-    let { name } = req.body;
-    if (!name) return res.status(400).json({ error: 'Name required' });
-    if (name.length > 50) return res.status(400).json({ error: 'Name too long (max 50 chars)' });
-    name = sanitize(name);
-
-    const names = readData();
-    // Start with 0 votes and 0 dislikes
-    const newName = { id: Date.now().toString(), name, votes: 0, dislikes: 0, votedIPs: [] };
-    names.push(newName);
-    writeData(names);
-    res.status(201).json(newName);
-});
+    // --- Notifications (Email & Webhooks) ---
+    // Mutation endpoints call notify(); the parents choose in the Admin tab which events go where.
+
+    const formatEventTime = (iso) => new Date(iso).toLocaleString(LANGUAGE, { dateStyle: 'short', timeStyle: 'short' });
+    const summarize = (event) => translate(LANGUAGE, `notify.${event.type}`, { ...event.data, title: settings.title });
+
+    const notifier = createNotifier({
+        settings: db.notifications,
+        digest: db.notificationDigest,
+        sendMail: SMTP ? (message) => sendMail(SMTP, { from: SMTP.from, ...message }) : null,
+        format: (event) => ({
+            subject: translate(LANGUAGE, 'notify.subject', { title: settings.title, summary: summarize(event) }),
+            text: `${summarize(event)}\n\n${translate(LANGUAGE, 'notify.footer', { url: event.data.url })}\n`
+        }),
+        formatDigest: (events) => ({
+            subject: translate(LANGUAGE, 'notify.digestSubject', { title: settings.title, count: events.length }),
+            text: [
+                translate(LANGUAGE, 'notify.digestIntro'),
+                '',
+                ...events.map(e => `${formatEventTime(e.time)}  ${summarize(e)}`),
+                '',
+                translate(LANGUAGE, 'notify.footer', { url: events[events.length - 1].data.url }),
+                ''
+            ].join('\n')
+        }),
+        retryDelays: WEBHOOK_RETRY_DELAYS
+    });
+    const stopDigestSchedule = notifier.startDigestSchedule(DIGEST_HOUR);
 
-// DELETE /api/names/:id (Admin only)
-app.delete('/api/names/:id', (req, res) => {
-    const pin = req.headers['x-admin-pin'];
-    if (pin !== ADMIN_PIN) return res.status(401).json({ error: 'Unauthorized' });
+    // Texts are stored HTML-escaped, notifications carry the original text
+    const notify = (req, type, data) => {
+        const plain = {};
+        Object.entries(data).forEach(([key, value]) => { plain[key] = unsanitize(value); });
+        notifier.notify(type, { ...plain, url: dashboardUrl(req) });
+    };
 
-    let names = readData();
-    names = names.filter(n => n.id !== req.params.id);
-    writeData(names);
-    res.json({ success: true });
-});
+    // Submissions held back for moderation are only announced as 'submission.pending'
+    const notifySubmission = (req, type, item, collection, data) => {
+        if (isPending(item)) notify(req, 'submission.pending', { collection, name: item.name, flaggedWords: (item.flaggedWords || []).join(', ') });
+        else notify(req, type, data);
+    };
 
-// POST /api/vote (Vote for a name - Up or Down)
-app.post('/api/vote', (req, res) => {
-    const { id, type } = req.body;
-    if (!id || !['up', 'down', 'none'].includes(type)) return res.status(400).json({ error: 'Invalid ID or type' });
+    const notificationStatus = () => ({
+        settings: notifier.current(),
+        eventTypes: EVENT_TYPES,
+        smtp: !!SMTP,
+        digestHour: DIGEST_HOUR,
+        deliveries: notifier.deliveries()
+    });
 
-    // Trust proxy is set globally. Use Express `req.ip` rather than trusting CF headers manually.
-    // This stops attackers bypassing the limits when connecting directly instead of via Cloudflare.
-    const clientIP = req.ip || 'unknown';
-
-    const names = readData();
-    const name = names.find(n => n.id === id);
-    if (!name) return res.status(404).json({ error: 'Name not found' });
-
-    // Backward compatibility: Convert legacy Array to Object if needed
-    if (Array.isArray(name.votedIPs)) {
-        const legacyMap = {};
-        name.votedIPs.forEach(ip => {
-            // We don't know if legacy was up or down, assume 'up' as it was the default intended action for most
-            legacyMap[ip] = 'up';
-        });
-        name.votedIPs = legacyMap;
-    } else if (!name.votedIPs) {
-        name.votedIPs = {};
-    }
+    // GET /api/notifications (Admin only) - Settings, webhook secrets and the latest deliveries
+    app.get('/api/notifications', (req, res) => {
+        if (!auth.isAdmin(req)) throw new HttpError(401, 'unauthorized');
+        res.json(notificationStatus());
+    });
 
-    const previousVote = name.votedIPs[clientIP];
+    // PUT /api/notifications (Admin only) - { email: { recipients, events, digest }, webhooks: [{ id, url, events }] }
+    app.put('/api/notifications', asyncRoute(async (req, res) => {
+        if (!auth.isAdmin(req)) throw new HttpError(401, 'unauthorized');
+        const settings = parseSettings(req.body, notifier.current());
+        await db.notifications.set(settings);
+        audit.record(req, 'notifications.updated', { recipients: settings.email.recipients.length, webhooks: settings.webhooks.length });
+        res.json(notificationStatus());
+    }));
+
+    // POST /api/notifications/test (Admin only) - Sends a test event to every channel, without retries
+    app.post('/api/notifications/test', asyncRoute(async (req, res) => {
+        if (!auth.isAdmin(req)) throw new HttpError(401, 'unauthorized');
+        res.json(await notifier.sendTest({ title: settings.title, url: dashboardUrl(req) }));
+    }));
+
+    // POST /api/notifications/digest (Admin only) - Sends the digest now instead of at DIGEST_HOUR
+    app.post('/api/notifications/digest', asyncRoute(async (req, res) => {
+        if (!auth.isAdmin(req)) throw new HttpError(401, 'unauthorized');
+        res.json({ sent: await notifier.sendDigest() });
+    }));
+
+    // --- Guests (Invite Links) ---
+    // Every invited guest gets a secret token, delivered as link `/?guest=<token>`.
+    // The frontend stores it and sends it as `x-guest-token` header with every request.
+
+    // Identify the guest for all API routes. Unknown or revoked tokens are remembered
+    // so that mutation endpoints can reject them instead of silently falling back to anonymous.
+    app.use('/api', (req, res, next) => {
+        const token = req.headers['x-guest-token'];
+        if (token) {
+            const guest = db.guests.read().find(g => g.token === token);
+            if (guest && !guest.revoked) req.guest = guest;
+            else req.invalidGuestToken = true;
+        }
+        next();
+    });
 
-    // If IP is known, adjust totals by removing the old vote
-    if (clientIP !== 'unknown' && previousVote) {
-        if (previousVote === 'up') name.votes = Math.max(0, (name.votes || 0) - 1);
-        if (previousVote === 'down') name.dislikes = Math.max(0, (name.dislikes || 0) - 1);
-    }
+    // Returns the guest of the request (or null for anonymous visitors) and enforces REQUIRE_INVITE
+    const guestOf = (req) => {
+        if (req.invalidGuestToken) throw new HttpError(403, 'invalidInvite');
+        if (REQUIRE_INVITE && !req.guest) throw new HttpError(401, 'inviteRequired');
+        return req.guest || null;
+    };
 
-    // Apply the new vote
-    if (type === 'none') {
-        // User withdrew their vote
-        delete name.votedIPs[clientIP];
-    } else {
-        if (type === 'up') name.votes = (name.votes || 0) + 1;
-        if (type === 'down') name.dislikes = (name.dislikes || 0) + 1;
-        name.votedIPs[clientIP] = type;
-    }
+    const inviteLink = (req, guest) => `${dashboardUrl(req)}?guest=${guest.token}`;
 
-    writeData(names);
-    res.json(name);
-});
+    // GET /api/me - Who am I and what did I already do?
+    app.get('/api/me', (req, res) => {
+        const guest = req.guest;
+        if (!guest) return res.json({ guest: null, invalidToken: !!req.invalidGuestToken, requireInvite: REQUIRE_INVITE });
 
-// --- Wishlist Endpoints ---
+        const votes = {};
+        db.names.read().forEach(n => {
+            if (n.votedGuests && n.votedGuests[guest.id]) votes[n.id] = n.votedGuests[guest.id];
+        });
 
-// GET /api/wishlist
-app.get('/api/wishlist', (req, res) => {
-    res.json(readWishlist());
-});
+        res.json({
+            guest: { id: guest.id, name: guest.name },
+            requireInvite: REQUIRE_INVITE,
+            votes,
+            bet: db.bets.read().find(b => b.guestId === guest.id) || null,
+            reservations: db.wishlist.read().filter(i => i.reservedByGuest === guest.id).map(i => i.id)
+        });
+    });
+
+    // GET /api/guests (Admin only) - All guests with their links and activity
+    app.get('/api/guests', (req, res) => {
+        if (!auth.isAdmin(req)) throw new HttpError(401, 'unauthorized');
+
+        const names = db.names.read();
+        const bets = db.bets.read();
+        const wishlist = db.wishlist.read();
+
+        res.json(db.guests.read().map(g => ({
+            ...g,
+            link: inviteLink(req, g),
+            votes: names.filter(n => n.votedGuests && n.votedGuests[g.id]).length,
+            hasBet: bets.some(b => b.guestId === g.id),
+            reservations: wishlist.filter(i => i.reservedByGuest === g.id).map(i => ({ id: i.id, name: i.name }))
+        })));
+    });
+
+    // POST /api/guests (Admin only) - Create an invite
+    app.post('/api/guests', asyncRoute(async (req, res) => {
+        if (!auth.isAdmin(req)) throw new HttpError(401, 'unauthorized');
+
+        let { name } = req.body;
+        if (!name) throw new HttpError(400, 'nameRequired');
+        if (name.length > 50) throw new HttpError(400, 'nameTooLong', { max: 50 });
+        name = sanitize(name);
+
+        const guest = {
+            id: Date.now().toString(),
+            name,
+            token: crypto.randomBytes(16).toString('hex'),
+            revoked: false,
+            createdAt: new Date().toISOString()
+        };
+        await db.guests.update(list => {
+            list.push(guest);
+        });
+        audit.record(req, 'guest.created', { id: guest.id, name });
+        res.status(201).json({ ...guest, link: inviteLink(req, guest) });
+    }));
+
+    // DELETE /api/guests/:id (Admin only) - Revoke an invite. The guest's votes, bets and reservations are kept.
+    app.delete('/api/guests/:id', asyncRoute(async (req, res) => {
+        if (!auth.isAdmin(req)) throw new HttpError(401, 'unauthorized');
+
+        const guest = await db.guests.update(list => {
+            const guest = list.find(g => g.id === req.params.id);
+            if (!guest) throw new HttpError(404, 'notFound');
+            guest.revoked = true;
+            guest.revokedAt = new Date().toISOString();
+            return guest;
+        });
+        audit.record(req, 'guest.revoked', { id: guest.id, name: guest.name });
+        res.json({ success: true });
+    }));
+
+    // --- Names Endpoints ---
+
+    // Hides who voted. `myVote` is the requester's own vote, so it is only set for direct responses, never for events.
+    const publicName = (name, req) => {
+        const { votedIPs, votedGuests, flaggedWords, pendingDetails, ...rest } = name;
+        rest.rating = ratingOf(name);
+        if (!req) return rest;
 
-// POST /api/wishlist - Add Item (Protected)
-app.post('/api/wishlist', (req, res) => {
-    const pin = req.headers['x-admin-pin'];
-    if (pin !== ADMIN_PIN) return res.status(401).json({ error: 'Unauthorized' });
+        const voters = req.guest ? votedGuests : votedIPs;
+        const key = req.guest ? req.guest.id : req.ip;
+        const myVote = voters && !Array.isArray(voters) ? voters[key] : undefined;
+        return { ...rest, myVote: myVote || null };
+    };
 
-    let { name, link, price, note } = req.body;
-    if (!name || !link) return res.status(400).json({ error: 'Name and Link required' });
+    const NAME_GENDERS = ['girl', 'boy', 'unisex'];
 
-    if (name.length > 200) return res.status(400).json({ error: 'Name too long (max 200 chars)' });
-    if (price && price.length > 50) return res.status(400).json({ error: 'Price too long (max 50 chars)' });
-    if (note && note.length > 500) return res.status(400).json({ error: 'Note too long (max 500 chars)' });
+    // Optional free-text details of a suggestion and their max. length
+    const NAME_DETAILS = { meaning: 200, origin: 50, suggestedBy: 50 };
 
-    try {
-        const parsedUrl = new URL(link);
-        if (parsedUrl.protocol !== 'http:' && parsedUrl.protocol !== 'https:') {
-            return res.status(400).json({ error: 'Invalid link protocol. Only http and https are allowed.' });
+    const parseNameFields = (body, { partial = false } = {}) => {
+        const fields = {};
+        if (has(body, 'name', partial)) {
+            if (!body.name || typeof body.name !== 'string' || !body.name.trim()) throw new HttpError(400, 'nameRequired');
+            if (body.name.length > 50) throw new HttpError(400, 'nameTooLong', { max: 50 });
+            fields.name = formatName(sanitize(body.name));
         }
-    } catch (e) {
-        return res.status(400).json({ error: 'Invalid link format.' });
-    }
+        Object.entries(NAME_DETAILS).forEach(([key, max]) => {
+            if (!has(body, key, partial)) return;
+            if (body[key] && body[key].length > max) throw new HttpError(400, `${key}TooLong`, { max });
+            fields[key] = typeof body[key] === 'string' ? sanitize(body[key]) : '';
+        });
+        if (has(body, 'gender', partial)) {
+            if (body.gender && !NAME_GENDERS.includes(body.gender)) throw new HttpError(400, 'invalidGender', { options: NAME_GENDERS.join(', ') });
+            fields.gender = body.gender || '';
+        }
+        return fields;
+    };
+
+    const findDuplicateName = (names, name, exceptId) => {
+        const key = nameKey(name);
+        return names.find(n => n.id !== exceptId && nameKey(n.name) === key);
+    };
+
+    // Admin views of public lists (emails, who reserved or booked) are marked so that neither the browser
+    // cache nor the service worker keeps them under the URL the public list is fetched from (see public/sw.js)
+    const noStore = (res) => res.set('Cache-Control', 'no-store');
 
-    name = sanitize(name);
-    link = sanitize(link);
-    price = sanitize(price);
-    note = sanitize(note);
+    // Applies validated fields to one record of a collection, 404 if it doesn't exist
+    const patchRecord = (collection, id, fields) => collection.update(list => {
+        const item = list.find(i => i.id === id);
+        if (!item) throw new HttpError(404, 'notFound');
+        Object.assign(item, fields, { updatedAt: new Date().toISOString() });
+        return item;
+    });
 
-    const list = readWishlist();
-    const newItem = {
-        id: Date.now().toString(),
+    // GET /api/names
+    app.get('/api/names', (req, res) => {
+        res.json(db.names.read().filter(n => !isPending(n)).map(n => publicName(n, req)));
+    });
+
+    // POST /api/names (Add Suggestion)
+    app.post('/api/names', asyncRoute(async (req, res) => {
+        const guest = guestOf(req);
+        const fields = parseNameFields(req.body);
+        if (!fields.suggestedBy && guest) fields.suggestedBy = guest.name;
+
+        // Start with 0 votes and 0 dislikes
+        const newName = {
+            id: Date.now().toString(),
+            ...fields,
+            votes: 0,
+            dislikes: 0,
+            votedIPs: {},
+            votedGuests: {},
+            date: new Date().toISOString(),
+            ...moderation.review([fields.name, fields.meaning, fields.origin, fields.suggestedBy])
+        };
+        if (guest) newName.guestId = guest.id;
+
+        // A name that is already on the list is merged: missing details are filled in, votes are kept
+        const { item, merged, detailsPending } = await db.names.update(names => {
+            const existing = findDuplicateName(names, newName.name);
+            if (!existing) {
+                names.push(newName);
+                return { item: newName, merged: false };
+            }
+            const added = {};
+            ['meaning', 'origin', 'gender', 'suggestedBy'].forEach(key => {
+                if (!existing[key] && newName[key]) added[key] = newName[key];
+            });
+            if (!Object.keys(added).length) return { item: existing, merged: true };
+
+            // The added details are reviewed like a new suggestion. A name still in the queue takes them along
+            // with their flags. A published one takes them directly when they need no review; with MODERATION=true
+            // they wait in `pendingDetails` for the parents (see the moderation queue).
+            const check = moderation.review(Object.values(added));
+            if (isPending(existing)) {
+                const flaggedWords = [...new Set([...(existing.flaggedWords || []), ...(check.flaggedWords || [])])];
+                Object.assign(existing, added, flaggedWords.length ? { flaggedWords } : {});
+            } else if (check.flaggedWords) {
+                throw new HttpError(400, 'blockedWords');
+            } else if (isPending(check)) {
+                // Details already waiting for review are not replaced by later ones
+                existing.pendingDetails = { ...added, ...existing.pendingDetails };
+                return { item: existing, merged: true, detailsPending: true };
+            } else {
+                Object.assign(existing, added);
+            }
+            return { item: existing, merged: true };
+        });
+
+        if (!isPending(item) && !detailsPending) events.publish('names', { action: merged ? 'updated' : 'created', item: publicName(item) });
+        if (!merged) notifySubmission(req, 'name.suggested', item, 'names', { name: item.name, suggestedBy: item.suggestedBy || 'Anonymous' });
+        if (detailsPending) notify(req, 'submission.pending', { collection: 'names', name: item.name, flaggedWords: '' });
+        res.status(merged ? 200 : 201).json({ ...publicName(item, req), merged, detailsPending: !!detailsPending });
+    }));
+
+    // PATCH /api/names/:id (Admin only) - Fix a typo without losing the votes
+    app.patch('/api/names/:id', asyncRoute(async (req, res) => {
+        if (!auth.isAdmin(req)) throw new HttpError(401, 'unauthorized');
+
+        const fields = parseNameFields(req.body, { partial: true });
+        if (fields.name) {
+            const duplicate = findDuplicateName(db.names.read(), fields.name, req.params.id);
+            if (duplicate) throw new HttpError(409, 'nameExists', { name: duplicate.name });
+        }
+        const item = await patchRecord(db.names, req.params.id, fields);
+        audit.record(req, 'name.edited', { id: item.id, name: item.name });
+        if (!isPending(item)) events.publish('names', { action: 'updated', item: publicName(item) });
+        res.json(publicName(item, req));
+    }));
+
+    // DELETE /api/names/:id (Admin only)
+    app.delete('/api/names/:id', asyncRoute(async (req, res) => {
+        if (!auth.isAdmin(req)) throw new HttpError(401, 'unauthorized');
+
+        const removed = await db.names.update(names => {
+            const index = names.findIndex(n => n.id === req.params.id);
+            if (index !== -1) return names.splice(index, 1)[0];
+        });
+        if (removed) audit.record(req, 'name.deleted', { id: removed.id, name: removed.name });
+        events.publish('names', { action: 'deleted', id: req.params.id });
+        res.json({ success: true });
+    }));
+
+    // Invited guests vote by identity, so a whole family behind one router can vote.
+    // Anonymous visitors fall back to the IP address.
+    // Trust proxy is set globally. Use Express `req.ip` rather than trusting CF headers manually.
+    // This stops attackers bypassing the limits when connecting directly instead of via Cloudflare.
+    const voterKeyOf = (req) => {
+        const guest = guestOf(req);
+        return guest ? guest.id : (req.ip || 'unknown');
+    };
+
+    // POST /api/vote (Vote for a name - Up or Down)
+    app.post('/api/vote', asyncRoute(async (req, res) => {
+        const guest = guestOf(req);
+        const { id, type } = req.body;
+        if (!id || !['up', 'down', 'none'].includes(type)) throw new HttpError(400, 'invalidVote');
+
+        const voterKey = voterKeyOf(req);
+
+        const name = await db.names.update(names => {
+            const name = names.find(n => n.id === id);
+            if (!name || isPending(name)) throw new HttpError(404, 'nameNotFound');
+
+            // Backward compatibility: Convert legacy Array to Object if needed
+            upgradeVotedIPs(name);
+            if (!name.votedGuests) name.votedGuests = {};
+            const voters = guest ? name.votedGuests : name.votedIPs;
+
+            const previousVote = voters[voterKey];
+
+            // If voter is known, adjust totals by removing the old vote
+            if (voterKey !== 'unknown' && previousVote) {
+                if (previousVote === 'up') name.votes = Math.max(0, (name.votes || 0) - 1);
+                if (previousVote === 'down') name.dislikes = Math.max(0, (name.dislikes || 0) - 1);
+            }
+
+            // Apply the new vote
+            if (type === 'none') {
+                // User withdrew their vote
+                delete voters[voterKey];
+            } else {
+                if (type === 'up') name.votes = (name.votes || 0) + 1;
+                if (type === 'down') name.dislikes = (name.dislikes || 0) + 1;
+                voters[voterKey] = type;
+            }
+
+            return name;
+        });
+
+        events.publish('names', { action: 'updated', item: publicName(name) });
+        res.json(publicName(name, req));
+    }));
+
+    // --- Name Duels ---
+    // Two names side by side, the guest picks one. Every pick moves an Elo rating per name,
+    // so late suggestions can catch up with the ones that collected hearts from the start.
+    // Each guest (or IP) sees every pair at most once.
+
+    const duelHistoryOf = (req) => {
+        const voter = voterKeyOf(req);
+        return db.duels.read().filter(d => d.voter === voter);
+    };
+
+    // GET /api/duel - The next pair for the requester, `pair: null` once all pairs are decided
+    app.get('/api/duel', (req, res) => {
+        const names = db.names.read().filter(n => !isPending(n));
+        const ids = new Set(names.map(n => n.id));
+        const decided = duelHistoryOf(req).filter(d => ids.has(d.winnerId) && ids.has(d.loserId));
+        const pair = pickPair(names, new Set(decided.map(d => pairKey(d.winnerId, d.loserId))));
+
+        res.json({
+            pair: pair ? pair.map(n => publicName(n, req)) : null,
+            decided: decided.length,
+            total: names.length * (names.length - 1) / 2
+        });
+    });
+
+    // GET /api/duel/history - The requester's own picks, newest first
+    app.get('/api/duel/history', (req, res) => {
+        const names = new Map(db.names.read().filter(n => !isPending(n)).map(n => [n.id, n.name]));
+        res.json(duelHistoryOf(req)
+            .filter(d => names.has(d.winnerId) && names.has(d.loserId))
+            .map(d => ({ id: d.id, winnerId: d.winnerId, winner: names.get(d.winnerId), loserId: d.loserId, loser: names.get(d.loserId), date: d.date }))
+            .reverse());
+    });
+
+    // POST /api/duel { winnerId, loserId }
+    app.post('/api/duel', asyncRoute(async (req, res) => {
+        const { winnerId, loserId } = req.body;
+        if (!winnerId || !loserId || winnerId === loserId) throw new HttpError(400, 'duelNamesRequired');
+
+        const known = db.names.read().filter(n => !isPending(n) && (n.id === winnerId || n.id === loserId));
+        if (known.length !== 2) throw new HttpError(404, 'nameNotFound');
+
+        const voter = voterKeyOf(req);
+        const key = pairKey(winnerId, loserId);
+        // The ratings are updated inside the duel write: if the names are gone by now or cannot be saved,
+        // the duel is not recorded either, so the history never holds a result no rating reflects
+        const { winner, loser, delta } = await db.duels.update(async duels => {
+            if (duels.some(d => d.voter === voter && pairKey(d.winnerId, d.loserId) === key)) {
+                throw new HttpError(409, 'duelAlreadyDecided');
+            }
+            const result = await db.names.update(names => {
+                const winner = names.find(n => n.id === winnerId && !isPending(n));
+                const loser = names.find(n => n.id === loserId && !isPending(n));
+                if (!winner || !loser) throw new HttpError(404, 'nameNotFound');
+                return { winner, loser, delta: applyDuelResult(winner, loser) };
+            });
+            duels.push({ id: `${Date.now()}-${crypto.randomBytes(3).toString('hex')}`, voter, winnerId, loserId, date: new Date().toISOString() });
+            return result;
+        });
+
+        events.publish('names', { action: 'updated', item: publicName(winner) });
+        events.publish('names', { action: 'updated', item: publicName(loser) });
+        res.json({ winner: publicName(winner, req), loser: publicName(loser, req), delta });
+    }));
+
+    // --- Wishlist Endpoints ---
+
+    // The guest behind a reservation or pledge is only visible to the admin, names are hidden
+    // entirely with HIDE_RESERVER_NAMES. `reservedByMe` and `mine` are only set for direct responses.
+    const publicWishlistItem = (item, req) => {
+        const { reservedByGuest, reservationTokenHash, ...rest } = item;
+        upgradePrice(rest, DEFAULT_CURRENCY);
+        const isMine = (guestId) => !!(req && req.guest && guestId === req.guest.id);
+
+        if (HIDE_RESERVER_NAMES) rest.reservedBy = null;
+        if (rest.pledges) {
+            rest.pledges = rest.pledges.map(({ guestId, ...pledge }) => {
+                if (HIDE_RESERVER_NAMES && !isMine(guestId)) pledge.name = null;
+                return req ? { ...pledge, mine: isMine(guestId) } : pledge;
+            });
+        }
+        if (!req) return rest;
+        return { ...rest, reservedByMe: isMine(reservedByGuest) };
+    };
+
+    // Releasing a reservation needs its cancellation token, the reserving guest or the admin
+    const releaseReservation = (item, req, token) => {
+        const guest = req.guest;
+        const isOwner = (guest && guest.id === item.reservedByGuest) || checkSecretToken(item.reservationTokenHash, token);
+        if (!isOwner && !auth.isAdmin(req)) throw new HttpError(403, 'reservedBySomeoneElse');
+
+        item.reserved = false;
+        item.reservedBy = null;
+        item.reservedByGuest = null;
+        item.reservationTokenHash = null;
+        return item;
+    };
+
+    // The admin sees everything except the secret reservation token hash
+    const adminWishlistItem = (item, guests = db.guests.read()) => {
+        const { reservationTokenHash, ...rest } = item;
+        const guest = rest.reservedByGuest && guests.find(g => g.id === rest.reservedByGuest);
+        return { ...upgradePrice(rest, DEFAULT_CURRENCY), reservedByGuestName: guest ? guest.name : null };
+    };
+
+    const newWishlistItem = (id, { name, link, price, priceValue, currency, category, note, quantity, targetAmount }) => updatePledgeStatus({
+        id,
         name,
         link,
-        price: price || '',
-        note: note || '',
+        price,
+        priceValue,
+        currency: currency || DEFAULT_CURRENCY,
+        category: category || '',
+        note,
+        quantity,
+        targetAmount,
+        pledges: [],
         reserved: false,
         reservedBy: null, // Could be used later
         date: new Date().toISOString()
+    });
+
+    const cancelLink = (req, item, token) => `${dashboardUrl(req)}?cancelReservation=${item.id}&token=${token}`;
+
+    const parseWishlistFields = (body, { partial = false } = {}) => {
+        const fields = {};
+        if (!partial && (!body.name || !body.link)) throw new HttpError(400, 'nameAndLinkRequired');
+
+        if (has(body, 'name', partial)) {
+            if (!body.name || typeof body.name !== 'string') throw new HttpError(400, 'nameRequired');
+            if (body.name.length > 200) throw new HttpError(400, 'nameTooLong', { max: 200 });
+            fields.name = sanitize(body.name);
+        }
+        if (has(body, 'link', partial)) {
+            let parsedUrl;
+            try {
+                parsedUrl = new URL(body.link);
+            } catch (e) {
+                throw new HttpError(400, 'invalidLink');
+            }
+            if (parsedUrl.protocol !== 'http:' && parsedUrl.protocol !== 'https:') {
+                throw new HttpError(400, 'invalidLinkProtocol');
+            }
+            // The normalised form percent-encodes quotes and angle brackets, so it is safe in an href
+            fields.link = parsedUrl.toString();
+        }
+        if (has(body, 'price', partial)) {
+            if (body.price && body.price.length > 50) throw new HttpError(400, 'priceTooLong', { max: 50 });
+            fields.price = sanitize(body.price) || '';
+            // The numeric price is always derived from the text, so both never disagree
+            const { priceValue, currency } = parsePrice(fields.price);
+            fields.priceValue = priceValue;
+            if (currency) fields.currency = currency;
+        }
+        if (body.currency) {
+            const currency = String(body.currency).trim().toUpperCase();
+            if (!/^[A-Z]{3}$/.test(currency)) throw new HttpError(400, 'invalidCurrency');
+            fields.currency = currency;
+        }
+        if (has(body, 'category', partial)) {
+            if (body.category && body.category.length > 30) throw new HttpError(400, 'categoryTooLong', { max: 30 });
+            fields.category = sanitize(body.category || '').toLowerCase();
+        }
+        if (has(body, 'note', partial)) {
+            if (body.note && body.note.length > 500) throw new HttpError(400, 'noteTooLong', { max: 500 });
+            fields.note = sanitize(body.note) || '';
+        }
+        // Optional: several units (e.g. "3x muslin cloths") or a target amount for group gifts
+        if (has(body, 'quantity', partial)) {
+            const quantity = body.quantity === '' || body.quantity === null || body.quantity === undefined ? 1 : Number(body.quantity);
+            if (!Number.isInteger(quantity) || quantity < 1 || quantity > 999) throw new HttpError(400, 'invalidQuantity');
+            fields.quantity = quantity;
+        }
+        if (has(body, 'targetAmount', partial)) {
+            if (body.targetAmount === '' || body.targetAmount === null || body.targetAmount === undefined) {
+                fields.targetAmount = null;
+            } else {
+                const amount = Math.round(Number(body.targetAmount) * 100) / 100;
+                if (!(amount > 0 && amount <= 100000)) throw new HttpError(400, 'invalidTargetAmount');
+                fields.targetAmount = amount;
+            }
+        }
+        return fields;
     };
 
-    list.push(newItem);
-    writeWishlist(list);
-    res.status(201).json(newItem);
-});
+    // GET /api/wishlist (Admin additionally sees which guest reserved what)
+    app.get('/api/wishlist', (req, res) => {
+        const list = db.wishlist.read();
+        if (auth.isAdmin(req)) {
+            const guests = db.guests.read();
+            noStore(res).json(list.map(i => adminWishlistItem(i, guests)));
+        } else {
+            res.json(list.map(i => publicWishlistItem(i, req)));
+        }
+    });
 
-// POST /api/wishlist/reserve - Toggle Reservation
-app.post('/api/wishlist/reserve', (req, res) => {
-    let { id, reservedBy } = req.body;
-    if (!id) return res.status(400).json({ error: 'ID required' });
-    reservedBy = sanitize(reservedBy);
+    // POST /api/wishlist - Add Item (Protected)
+    app.post('/api/wishlist', asyncRoute(async (req, res) => {
+        if (!auth.isAdmin(req)) throw new HttpError(401, 'unauthorized');
 
-    const list = readWishlist();
-    const item = list.find(i => i.id === id);
+        const newItem = newWishlistItem(Date.now().toString(), parseWishlistFields(req.body));
 
-    if (item) {
-        item.reserved = !item.reserved;
-        item.reservedBy = item.reserved ? (reservedBy || 'Anonymous') : null;
-        writeWishlist(list);
-        res.json(item);
-    } else {
-        res.status(404).json({ error: 'Not found' });
-    }
-});
+        await db.wishlist.update(list => {
+            list.push(newItem);
+        });
+        audit.record(req, 'wishlist.added', { id: newItem.id, name: newItem.name });
+        events.publish('wishlist', { action: 'created', item: publicWishlistItem(newItem) });
+        res.status(201).json(adminWishlistItem(newItem));
+    }));
+
+    // PATCH /api/wishlist/:id - Edit Item (Protected)
+    app.patch('/api/wishlist/:id', asyncRoute(async (req, res) => {
+        if (!auth.isAdmin(req)) throw new HttpError(401, 'unauthorized');
+
+        const fields = parseWishlistFields(req.body, { partial: true });
+        const item = await db.wishlist.update(list => {
+            const item = list.find(i => i.id === req.params.id);
+            if (!item) throw new HttpError(404, 'notFound');
+            Object.assign(item, fields, { updatedAt: new Date().toISOString() });
+            // A changed quantity or target amount can (un)fulfil a group gift
+            return updatePledgeStatus(item);
+        });
+        audit.record(req, 'wishlist.edited', { id: item.id, name: item.name });
+        events.publish('wishlist', { action: 'updated', item: publicWishlistItem(item) });
+        res.json(adminWishlistItem(item));
+    }));
+
+    // POST /api/wishlist/reserve - Toggle a reservation.
+    // Reserving returns a one-time `cancelToken`. Releasing needs that token, the reserving guest or the admin.
+    // With `reserve: true|false` the client states what it wants, so a request sent late (e.g. queued while
+    // offline) fails with a conflict instead of releasing a reservation somebody else made in the meantime.
+    app.post('/api/wishlist/reserve', asyncRoute(async (req, res) => {
+        const guest = guestOf(req);
+        let { id, reservedBy, token, reserve } = req.body;
+        if (!id) throw new HttpError(400, 'idRequired');
+        if (reservedBy && reservedBy.length > 50) throw new HttpError(400, 'nameTooLong', { max: 50 });
+        reservedBy = sanitize(reservedBy);
+
+        let cancelToken = null;
+        const item = await db.wishlist.update(list => {
+            const item = list.find(i => i.id === id);
+            if (!item) throw new HttpError(404, 'notFound');
+            if (isGroupGift(item)) throw new HttpError(400, 'groupGiftReserve');
+            if (reserve === true && item.reserved) throw new HttpError(409, 'alreadyReserved');
+            if (reserve === false && !item.reserved) throw new HttpError(409, 'notReserved');
+
+            if (item.reserved) return releaseReservation(item, req, token);
+
+            const secret = createSecretToken();
+            cancelToken = secret.token;
+            item.reserved = true;
+            item.reservedBy = reservedBy || (guest && guest.name) || 'Anonymous';
+            item.reservedByGuest = guest ? guest.id : null;
+            item.reservationTokenHash = secret.hash;
+            return item;
+        });
+        events.publish('wishlist', { action: 'updated', item: publicWishlistItem(item) });
+        if (cancelToken) notify(req, 'gift.reserved', { item: item.name, reservedBy: item.reservedBy });
+
+        const body = publicWishlistItem(item, req);
+        if (cancelToken) {
+            body.cancelToken = cancelToken;
+            body.cancelLink = cancelLink(req, item, cancelToken);
+        }
+        res.json(body);
+    }));
+
+    // POST /api/wishlist/:id/cancel - Release a reservation (used by cancellation links, never reserves)
+    app.post('/api/wishlist/:id/cancel', asyncRoute(async (req, res) => {
+        const item = await db.wishlist.update(list => {
+            const item = list.find(i => i.id === req.params.id);
+            if (!item) throw new HttpError(404, 'notFound');
+            if (!item.reserved || isGroupGift(item)) throw new HttpError(409, 'notReserved');
+            return releaseReservation(item, req, req.body.token);
+        });
+        events.publish('wishlist', { action: 'updated', item: publicWishlistItem(item) });
+        res.json(publicWishlistItem(item, req));
+    }));
+
+    // POST /api/wishlist/:id/pledge - Contribute units or an amount to a group gift
+    app.post('/api/wishlist/:id/pledge', asyncRoute(async (req, res) => {
+        const guest = guestOf(req);
+        let { name, units, amount } = req.body;
+        if (name && name.length > 50) throw new HttpError(400, 'nameTooLong', { max: 50 });
+        name = sanitize(name) || (guest && guest.name) || 'Anonymous';
+
+        let pledge;
+        const item = await db.wishlist.update(list => {
+            const item = list.find(i => i.id === req.params.id);
+            if (!item) throw new HttpError(404, 'notFound');
+            if (!isGroupGift(item)) throw new HttpError(400, 'notGroupGift');
+
+            const open = remaining(item);
+            if (open <= 0) throw new HttpError(409, 'alreadyFulfilled');
+
+            pledge = { id: Date.now().toString(), name, date: new Date().toISOString() };
+            if (pledgeMode(item) === 'amount') {
+                const value = Math.round(Number(amount) * 100) / 100;
+                if (!(value > 0)) throw new HttpError(400, 'invalidAmount');
+                if (value > open) throw new HttpError(400, 'amountLeft', { open });
+                pledge.amount = value;
+            } else {
+                const value = Number(units);
+                if (!Number.isInteger(value) || value < 1) throw new HttpError(400, 'invalidUnits');
+                if (value > open) throw new HttpError(400, 'unitsLeft', { open });
+                pledge.units = value;
+            }
+            if (guest) pledge.guestId = guest.id;
+
+            item.pledges = item.pledges || [];
+            item.pledges.push(pledge);
+            return updatePledgeStatus(item);
+        });
 
-// DELETE /api/wishlist/:id - Remove Item (Protected)
-app.delete('/api/wishlist/:id', (req, res) => {
-    const pin = req.headers['x-admin-pin'];
-    if (pin !== ADMIN_PIN) return res.status(401).json({ error: 'Unauthorized' });
+        events.publish('wishlist', { action: 'updated', item: publicWishlistItem(item) });
+        const contribution = pledge.amount !== undefined ? `${pledge.amount} ${item.currency || DEFAULT_CURRENCY}` : `${pledge.units}x`;
+        notify(req, 'gift.pledged', { item: item.name, name, contribution });
+        res.status(201).json(publicWishlistItem(item, req));
+    }));
+
+    // DELETE /api/wishlist/:id/pledge/:pledgeId - Withdraw a pledge (own pledge or admin)
+    app.delete('/api/wishlist/:id/pledge/:pledgeId', asyncRoute(async (req, res) => {
+        const isAdmin = auth.isAdmin(req);
+        const guest = isAdmin ? null : guestOf(req);
+
+        const item = await db.wishlist.update(list => {
+            const item = list.find(i => i.id === req.params.id);
+            if (!item) throw new HttpError(404, 'notFound');
+
+            const index = (item.pledges || []).findIndex(p => p.id === req.params.pledgeId);
+            if (index === -1) throw new HttpError(404, 'notFound');
+
+            const pledge = item.pledges[index];
+            if (!isAdmin && !(guest && pledge.guestId === guest.id)) {
+                throw new HttpError(403, 'pledgeWithdrawForbidden');
+            }
+            item.pledges.splice(index, 1);
+            return updatePledgeStatus(item);
+        });
 
-    let list = readWishlist();
-    const initialLength = list.length;
-    list = list.filter(i => i.id !== req.params.id);
+        events.publish('wishlist', { action: 'updated', item: publicWishlistItem(item) });
+        res.json(publicWishlistItem(item, req));
+    }));
 
-    if (list.length === initialLength) return res.status(404).json({ error: 'Not found' });
+    // DELETE /api/wishlist/:id - Remove Item (Protected)
+    app.delete('/api/wishlist/:id', asyncRoute(async (req, res) => {
+        if (!auth.isAdmin(req)) throw new HttpError(401, 'unauthorized');
 
-    writeWishlist(list);
-    res.json({ success: true });
-});
+        const removed = await db.wishlist.update(list => {
+            const index = list.findIndex(i => i.id === req.params.id);
+            if (index === -1) throw new HttpError(404, 'notFound');
+            return list.splice(index, 1)[0];
+        });
+        audit.record(req, 'wishlist.deleted', { id: removed.id, name: removed.name });
+        events.publish('wishlist', { action: 'deleted', id: req.params.id });
+        res.json({ success: true });
+    }));
+
+    // --- Wishlist Import / Export (Admin) ---
+    // Spreadsheet columns. priceValue and reserved are only exported, on import they are derived or ignored.
+    const WISHLIST_COLUMNS = ['name', 'category', 'price', 'priceValue', 'currency', 'quantity', 'targetAmount', 'link', 'note', 'reserved'];
+    const IMPORT_FIELDS = ['name', 'category', 'price', 'currency', 'quantity', 'targetAmount', 'link', 'note'];
+    const MAX_IMPORT_ROWS = 500;
+
+    // Stored text is HTML-escaped, exports should contain what was typed in
+    const unsanitize = (value) => typeof value === 'string' ? value.replace(/&lt;/g, '<').replace(/&gt;/g, '>') : value;
+
+    // GET /api/wishlist/export?format=csv|json - Download the wishlist
+    app.get('/api/wishlist/export', (req, res) => {
+        if (!auth.isAdmin(req)) throw new HttpError(401, 'unauthorized');
+        const format = req.query.format === 'json' ? 'json' : 'csv';
+
+        const rows = db.wishlist.read().map(item => {
+            upgradePrice(item, DEFAULT_CURRENCY);
+            const row = {};
+            WISHLIST_COLUMNS.forEach(key => {
+                row[key] = item[key] === undefined ? null : unsanitize(item[key]);
+            });
+            return row;
+        });
 
-// --- Betting Game Endpoints ---
-const BETS_FILE = path.join(DATA_DIR, 'bets.json');
+        const date = new Date().toISOString().split('T')[0];
+        res.attachment(`wishlist-${date}.${format}`);
+        if (format === 'json') return res.send(JSON.stringify(rows, null, 2));
+        res.type('text/csv').send(toCsv(rows, WISHLIST_COLUMNS));
+    });
 
-// Ensure bets.json exists
-if (!fs.existsSync(BETS_FILE)) {
-    fs.writeFileSync(BETS_FILE, JSON.stringify([], null, 2));
-}
+    // POST /api/wishlist/import - { format: 'csv'|'json', data, replace }
+    // All rows are validated first; nothing is imported if one of them is invalid.
+    app.post('/api/wishlist/import', asyncRoute(async (req, res) => {
+        if (!auth.isAdmin(req)) throw new HttpError(401, 'unauthorized');
+        const { format, data, replace } = req.body;
+
+        let rows;
+        if (format === 'csv') {
+            if (typeof data !== 'string') throw new HttpError(400, 'csvNotString');
+            rows = parseCsv(data);
+        } else if (format === 'json') {
+            try {
+                rows = typeof data === 'string' ? JSON.parse(data) : data;
+            } catch (err) {
+                throw new HttpError(400, 'invalidJson');
+            }
+            if (!Array.isArray(rows)) throw new HttpError(400, 'jsonNotArray');
+        } else {
+            throw new HttpError(400, 'invalidImportFormat');
+        }
+        if (!rows.length) throw new HttpError(400, 'noWishesFound');
+        if (rows.length > MAX_IMPORT_ROWS) throw new HttpError(400, 'tooManyWishes', { max: MAX_IMPORT_ROWS });
+
+        const baseId = Date.now();
+        const items = rows.map((row, index) => {
+            if (!row || typeof row !== 'object') throw new HttpError(400, 'importRow', { row: index + 1, reason: { code: 'notAWish' } });
+            // CSV headers arrive lower-cased, JSON keys as exported
+            const body = {};
+            IMPORT_FIELDS.forEach(key => {
+                const value = row[key] !== undefined ? row[key] : row[key.toLowerCase()];
+                if (value !== undefined && value !== null && value !== '') body[key] = typeof value === 'number' ? value : String(value);
+            });
+            try {
+                return newWishlistItem(`${baseId}-${index}`, parseWishlistFields(body));
+            } catch (err) {
+                if (err instanceof HttpError) throw new HttpError(400, 'importRow', { row: index + 1, reason: err });
+                throw err;
+            }
+        });
+
+        const removed = await db.wishlist.update(list => {
+            const removed = replace ? list.splice(0, list.length) : [];
+            list.push(...items);
+            return removed;
+        });
+
+        audit.record(req, 'wishlist.imported', { format, count: items.length, replaced: removed.length });
+        removed.forEach(item => events.publish('wishlist', { action: 'deleted', id: item.id }));
+        items.forEach(item => events.publish('wishlist', { action: 'created', item: publicWishlistItem(item) }));
+        res.status(201).json({ imported: items.length, removed: removed.length });
+    }));
+
+    // --- Betting Game Endpoints ---
+
+    // --- Birth Result (resolves the betting game) ---
+
+    // Weighting of the three guess categories when scoring bets. Each distance is
+    // converted to "penalty points" first: 1 point per day, per 100g and per cm.
+    const BET_WEIGHTS = {
+        date: parseFloat(process.env.BET_WEIGHT_DATE || '1'),
+        weight: parseFloat(process.env.BET_WEIGHT_WEIGHT || '1'),
+        size: parseFloat(process.env.BET_WEIGHT_SIZE || '1')
+    };
+
+    // Scores every bet against the result. Lower score = closer guess.
+    function scoreBets(bets, result) {
+        const birth = toBirthTimestamp(result.date, result.time);
+
+        const scored = bets.map(b => {
+            const diffHours = Math.abs(toBirthTimestamp(b.date, b.time) - birth) / (1000 * 60 * 60);
+            const diffWeight = Math.abs((b.weight || 0) - result.weight);
+            const diffSize = Math.abs((b.size || 0) - result.size);
+
+            const score = BET_WEIGHTS.date * (diffHours / 24)
+                + BET_WEIGHTS.weight * (diffWeight / 100)
+                + BET_WEIGHTS.size * diffSize;
 
-function readBets() {
-    try {
-        const data = fs.readFileSync(BETS_FILE, 'utf8');
-        return JSON.parse(data);
-    } catch (err) {
-        console.error('Error reading bets:', err);
-        return [];
+            return {
+                ...b,
+                diff: { hours: Math.round(diffHours * 10) / 10, weight: diffWeight, size: diffSize },
+                score: Number.isFinite(score) ? Math.round(score * 100) / 100 : null
+            };
+        });
+
+        // Unparseable bets (score null) go to the end
+        scored.sort((a, b) => {
+            if (a.score === null) return 1;
+            if (b.score === null) return -1;
+            return a.score - b.score;
+        });
+
+        // Equal scores share a rank (1, 1, 3, ...)
+        scored.forEach((b, index) => {
+            const prev = scored[index - 1];
+            b.rank = prev && prev.score === b.score ? prev.rank : index + 1;
+        });
+
+        return scored;
     }
-}
 
-const writeBets = (data) => {
-    fs.writeFileSync(BETS_FILE, JSON.stringify(data, null, 2));
-};
+    // GET /api/bets/result
+    app.get('/api/bets/result', (req, res) => {
+        res.json({ result: db.result.read(), weights: BET_WEIGHTS });
+    });
 
-// GET /api/bets
-app.get('/api/bets', (req, res) => {
-    res.json(readBets());
-});
+    // POST /api/bets/result (Admin only) - Record the actual birth and close the game
+    app.post('/api/bets/result', asyncRoute(async (req, res) => {
+        if (!auth.isAdmin(req)) throw new HttpError(401, 'unauthorized');
 
-// POST /api/bets
-app.post('/api/bets', (req, res) => {
-    let { name, date, time, weight, size } = req.body;
-    if (!name || !date || !weight || !size) return res.status(400).json({ error: 'Missing fields' });
+        let { date, time, weight, size } = req.body;
+        if (!date || !weight || !size) throw new HttpError(400, 'missingFields');
 
-    if (name.length > 50) return res.status(400).json({ error: 'Name too long (max 50 chars)' });
+        time = time || '12:00';
+        if (!isValidDateTime(date, time)) {
+            throw new HttpError(400, 'invalidDateTime');
+        }
 
-    name = sanitize(name);
-    date = sanitize(date);
-    time = sanitize(time);
+        weight = parseInt(weight);
+        size = parseInt(size);
+        if (!(weight >= WEIGHT_RANGE.min && weight <= WEIGHT_RANGE.max)) throw new HttpError(400, 'invalidWeight', WEIGHT_RANGE);
+        if (!(size >= SIZE_RANGE.min && size <= SIZE_RANGE.max)) throw new HttpError(400, 'invalidSize', SIZE_RANGE);
+
+        const result = { date, time, weight, size, recordedAt: new Date().toISOString() };
+        await db.result.set(result);
+        audit.record(req, 'bets.result_recorded', { date, time, weight, size });
+        events.publish('bets', { action: 'result', result });
+        res.json(result);
+    }));
+
+    // DELETE /api/bets/result (Admin only) - Reopen the game, e.g. after a typo
+    app.delete('/api/bets/result', asyncRoute(async (req, res) => {
+        if (!auth.isAdmin(req)) throw new HttpError(401, 'unauthorized');
+
+        await db.result.set(null);
+        audit.record(req, 'bets.result_cleared');
+        events.publish('bets', { action: 'result', result: null });
+        res.json({ success: true });
+    }));
+
+    // GET /api/pregnancy - Week table for the size tracker, and the birth details once the birth is recorded
+    app.get('/api/pregnancy', (req, res) => {
+        res.json({
+            ...pregnancyDates(),
+            units: UNITS,
+            weeks: WEEK_TABLE,
+            birth: birthDetails(db.result.read(), UNITS)
+        });
+    });
 
-    const list = readBets();
-    const newBet = {
-        id: Date.now().toString(),
-        name,
-        date,
-        time: time || '12:00',
-        weight: parseInt(weight),
-        size: parseInt(size),
-        timestamp: new Date().toISOString()
+    // GET /api/bets/leaderboard - Ranked bets, only available once the result is recorded
+    app.get('/api/bets/leaderboard', (req, res) => {
+        const result = db.result.read();
+        if (!result) throw new HttpError(404, 'noResult');
+
+        res.json({ result, weights: BET_WEIGHTS, leaderboard: scoreBets(db.bets.read().filter(b => !isPending(b)), result) });
+    });
+
+    const publicBet = ({ flaggedWords, ...bet }) => bet;
+
+    // GET /api/bets
+    app.get('/api/bets', (req, res) => {
+        res.json(db.bets.read().filter(b => !isPending(b)).map(publicBet));
+    });
+
+    // GET /api/bets/stats - Median, range and distribution of all guesses
+    app.get('/api/bets/stats', (req, res) => {
+        res.json(betStats(db.bets.read().filter(b => !isPending(b)), db.betFields.read()));
+    });
+
+    // --- Extra guess fields ---
+    // Besides date, time, weight and size the parents can ask for more (hair colour, head circumference, ...).
+    // Guesses for them are stored per bet in `extra`, keyed by the field ID.
+
+    // GET /api/bets/fields
+    app.get('/api/bets/fields', (req, res) => {
+        res.json(db.betFields.read());
+    });
+
+    // PUT /api/bets/fields { fields } (Admin only) - Replaces the whole list, the order is the form order
+    app.put('/api/bets/fields', asyncRoute(async (req, res) => {
+        if (!auth.isAdmin(req)) throw new HttpError(401, 'unauthorized');
+
+        const fields = parseFieldDefinitions(req.body.fields);
+        await db.betFields.set(fields);
+        audit.record(req, 'bets.fields_changed', { fields: fields.map(f => f.id) });
+        events.publish('bets', { action: 'fields', fields });
+        res.json(fields);
+    }));
+
+    const parseBetFields = (body, { partial = false } = {}) => {
+        const fields = {};
+        if (!partial && (!body.name || !body.date || !body.weight || !body.size)) throw new HttpError(400, 'missingFields');
+
+        if (has(body, 'name', partial)) {
+            if (!body.name || typeof body.name !== 'string') throw new HttpError(400, 'missingFields');
+            if (body.name.length > 50) throw new HttpError(400, 'nameTooLong', { max: 50 });
+            fields.name = sanitize(body.name);
+        }
+        if (has(body, 'date', partial)) {
+            if (!body.date) throw new HttpError(400, 'missingFields');
+            fields.date = sanitize(body.date);
+        }
+        if (has(body, 'time', partial)) fields.time = sanitize(body.time) || '12:00';
+        if (fields.date !== undefined || fields.time !== undefined) {
+            const date = fields.date || '2000-01-01';
+            const time = fields.time || '12:00';
+            if (!isValidDateTime(date, time)) {
+                throw new HttpError(400, 'invalidDateTime');
+            }
+        }
+        if (has(body, 'weight', partial)) {
+            fields.weight = parseInt(body.weight);
+            if (!(fields.weight >= WEIGHT_RANGE.min && fields.weight <= WEIGHT_RANGE.max)) {
+                throw new HttpError(400, 'invalidWeight', WEIGHT_RANGE);
+            }
+        }
+        if (has(body, 'size', partial)) {
+            fields.size = parseInt(body.size);
+            if (!(fields.size >= SIZE_RANGE.min && fields.size <= SIZE_RANGE.max)) {
+                throw new HttpError(400, 'invalidSize', SIZE_RANGE);
+            }
+        }
+        if (has(body, 'extra', partial)) fields.extra = parseExtraGuesses(db.betFields.read(), body.extra, { partial });
+        return fields;
     };
 
-    list.push(newBet);
-    writeBets(list);
-    res.status(201).json(newBet);
-});
+    // POST /api/bets
+    app.post('/api/bets', asyncRoute(async (req, res) => {
+        if (db.result.read()) throw new HttpError(403, 'bettingClosed');
+        const guest = guestOf(req);
+
+        const body = { ...req.body };
+        if (!body.name && guest) body.name = guest.name;
+        const { name, date, time, weight, size, extra } = parseBetFields(body);
+        const texts = Object.values(extra).filter(v => typeof v === 'string');
+
+        const newBet = {
+            id: Date.now().toString(),
+            name,
+            date,
+            time,
+            weight,
+            size,
+            extra,
+            timestamp: new Date().toISOString(),
+            ...moderation.review([name, ...texts])
+        };
+
+        if (guest) newBet.guestId = guest.id;
+
+        await db.bets.update(list => {
+            // One bet per invited guest
+            if (guest && list.some(b => b.guestId === guest.id)) {
+                throw new HttpError(409, 'alreadyGuessed');
+            }
+            list.push(newBet);
+        });
+        if (!isPending(newBet)) events.publish('bets', { action: 'created', item: publicBet(newBet) });
+        notifySubmission(req, 'bet.placed', newBet, 'bets', { name, date, time: time || '', weight, size });
+        res.status(201).json(publicBet(newBet));
+    }));
+
+    // PATCH /api/bets/:id (Admin only) - Correct a mistyped guess
+    app.patch('/api/bets/:id', asyncRoute(async (req, res) => {
+        if (!auth.isAdmin(req)) throw new HttpError(401, 'unauthorized');
+
+        const fields = parseBetFields(req.body, { partial: true });
+        if (fields.extra) {
+            // Only the sent extra guesses change, the others are kept
+            const current = db.bets.read().find(b => b.id === req.params.id);
+            fields.extra = { ...(current && current.extra), ...fields.extra };
+        }
+        const item = await patchRecord(db.bets, req.params.id, fields);
+        audit.record(req, 'bet.edited', { id: item.id, name: item.name });
+        if (!isPending(item)) events.publish('bets', { action: 'updated', item: publicBet(item) });
+        res.json(item);
+    }));
+
+    // DELETE /api/bets/:id (Admin only)
+    app.delete('/api/bets/:id', asyncRoute(async (req, res) => {
+        if (!auth.isAdmin(req)) throw new HttpError(401, 'unauthorized');
+
+        const removed = await db.bets.update(list => {
+            console.log(`[DELETE] Request ID: ${req.params.id}, Current Count: ${list.length}`);
+            const index = list.findIndex(b => b.id === req.params.id);
+            if (index === -1) {
+                console.log(`[DELETE] ID not found in list: ${JSON.stringify(list.map(b => b.id))}`);
+                throw new HttpError(404, 'notFound');
+            }
+            const [bet] = list.splice(index, 1);
+            console.log(`[DELETE] New Count: ${list.length}`);
+            return bet;
+        });
+        audit.record(req, 'bet.deleted', { id: removed.id, name: removed.name });
+        events.publish('bets', { action: 'deleted', id: req.params.id });
+        res.json({ success: true });
+    }));
 
-// DELETE /api/bets/:id (Admin only)
-app.delete('/api/bets/:id', (req, res) => {
-    const pin = req.headers['x-admin-pin'];
-    if (pin !== ADMIN_PIN) return res.status(401).json({ error: 'Unauthorized' });
+    // --- OFFERS (FLOHMARKT) Endpoints ---
 
-    let list = readBets();
-    const initialLength = list.length;
-    console.log(`[DELETE] Request ID: ${req.params.id}, Current Count: ${list.length}`);
-    list = list.filter(b => b.id !== req.params.id);
-    console.log(`[DELETE] New Count: ${list.length}`);
+    // Lifecycle of an offer, set by the parents
+    const OFFER_STATUSES = ['open', 'accepted', 'declined', 'picked_up'];
 
-    if (list.length === initialLength) {
-        console.log(`[DELETE] ID not found in list: ${JSON.stringify(list.map(b => b.id))}`);
-        return res.status(404).json({ error: 'Not found' });
-    }
+    // Strip emails for public access to prevent bot scraping. The note to the giver is only
+    // shown to the giver (manage link) and the admin.
+    const publicOffer = (offer) => ({ ...offer, email: undefined, parentNote: undefined, manageTokenHash: undefined, flaggedWords: undefined });
+    const adminOffer = (offer) => ({ ...offer, manageTokenHash: undefined });
 
-    writeBets(list);
-    res.json({ success: true });
-});
+    const manageLink = (req, offer, token) => `${dashboardUrl(req)}?manageOffer=${offer.id}&token=${token}`;
 
-// --- OFFERS (FLOHMARKT) Endpoints ---
-function readOffers() {
-    try {
-        const data = fs.readFileSync(OFFERS_FILE, 'utf8');
-        return JSON.parse(data);
-    } catch (err) {
-        console.error('Error reading offers:', err);
-        return [];
-    }
-}
+    const parseOfferFields = (body, { partial = false } = {}) => {
+        const fields = {};
+        if (has(body, 'name', partial)) {
+            if (!body.name || typeof body.name !== 'string') throw new HttpError(400, 'missingFields');
+            if (body.name.length > 50) throw new HttpError(400, 'nameTooLong', { max: 50 });
+            fields.name = sanitize(body.name);
+        }
+        if (has(body, 'email', partial)) fields.email = sanitize(body.email);
+        if (has(body, 'description', partial)) {
+            if (!body.description || typeof body.description !== 'string') throw new HttpError(400, 'missingFields');
+            if (body.description.length > 1000) throw new HttpError(400, 'descriptionTooLong', { max: 1000 });
+            fields.description = sanitize(body.description);
+        }
+        return fields;
+    };
 
-const writeOffers = (data) => {
-    fs.writeFileSync(OFFERS_FILE, JSON.stringify(data, null, 2));
-};
+    // Admin-only fields: status and a note to the giver (e.g. "We'll pick it up on Saturday")
+    const parseOfferReviewFields = (body) => {
+        const fields = {};
+        if (body.status !== undefined) {
+            if (!OFFER_STATUSES.includes(body.status)) throw new HttpError(400, 'invalidOfferStatus', { options: OFFER_STATUSES.join(', ') });
+            fields.status = body.status;
+        }
+        if (body.parentNote !== undefined) {
+            if (body.parentNote && body.parentNote.length > 500) throw new HttpError(400, 'noteTooLong', { max: 500 });
+            fields.parentNote = sanitize(body.parentNote) || '';
+        }
+        return fields;
+    };
+
+    // Giver actions need the manage token returned on creation (header `x-offer-token`)
+    const findOwnOffer = (list, req) => {
+        const offer = list.find(o => o.id === req.params.id);
+        if (!offer) throw new HttpError(404, 'notFound');
+        if (!checkSecretToken(offer.manageTokenHash, req.headers['x-offer-token'])) throw new HttpError(403, 'invalidManageLink');
+        return offer;
+    };
+
+    const deleteOfferImages = (offer) => deleteOfferFiles(offer, uploadsDir);
+
+    // Photos are kept in memory only until their variants are written
+    const photoUpload = multer({
+        storage: multer.memoryStorage(),
+        limits: { files: MAX_PHOTOS, fileSize: MAX_FILE_BYTES, fields: 10 }
+    });
 
-// GET /api/offers
-app.get('/api/offers', (req, res) => {
-    const pin = req.headers['x-admin-pin'];
-    const offers = readOffers();
-    if (pin === ADMIN_PIN) {
-        res.json(offers);
-    } else {
-        // Strip emails for public access to prevent bot scraping
-        const publicOffers = offers.map(o => ({ ...o, email: undefined }));
-        res.json(publicOffers);
+    // Writes the variants of all uploaded photos (offers, news, guestbook). If one photo is invalid, none is kept.
+    async function storePhotos(files, baseName) {
+        const photos = [];
+        try {
+            for (const [index, file] of files.entries()) {
+                photos.push(await processPhoto(file.buffer, { dir: uploadsDir, baseName: `${baseName}-${index}`, urlPrefix: `${basePath}/uploads` }));
+            }
+        } catch (err) {
+            // Don't leave the variants of the photos before the broken one behind
+            deletePhotoFiles(photos, uploadsDir);
+            if (err instanceof HttpError && files.length > 1) throw new HttpError(err.status, 'photoInvalid', { photo: photos.length + 1, reason: err });
+            throw err;
+        }
+        return photos;
     }
-});
 
-// POST /api/offers (Requires name, email, description, and base64 image)
-app.post('/api/offers', async (req, res) => {
-    let { name, email, description, imageBase64 } = req.body;
-    if (!name || !description || !imageBase64) return res.status(400).json({ error: 'Missing fields' });
+    // GET /api/offers
+    app.get('/api/offers', (req, res) => {
+        const offers = db.offers.read().filter(o => !isPending(o));
+        if (auth.isAdmin(req)) {
+            audit.record(req, 'offers.emails_viewed', { count: offers.filter(o => o.email).length });
+            noStore(res).json(offers.map(adminOffer));
+        } else {
+            res.json(offers.map(publicOffer));
+        }
+    });
+
+    // POST /api/offers - multipart/form-data with name, email, description and 1-6 `photos`
+    app.post('/api/offers', photoUpload.array('photos', MAX_PHOTOS), asyncRoute(async (req, res) => {
+        const files = req.files || [];
+        if (!files.length) throw new HttpError(400, 'photoRequired');
+        const { name, email, description } = parseOfferFields(req.body);
+        // Before the photos are stored, so a rejected offer leaves no files behind
+        const check = moderation.review([name, description]);
+
+        const id = Date.now().toString();
+        const photos = await storePhotos(files, id);
+
+        const secret = createSecretToken();
+        const newOffer = {
+            id,
+            name,
+            email,
+            description,
+            photos,
+            imageUrl: photos[0].url, // Cover photo, kept for older clients
+            status: 'open',
+            parentNote: '',
+            manageTokenHash: secret.hash,
+            timestamp: new Date().toISOString(),
+            ...check
+        };
+
+        await db.offers.update(list => {
+            list.push(newOffer);
+        });
+        if (!isPending(newOffer)) events.publish('offers', { action: 'created', item: publicOffer(newOffer) });
+        notifySubmission(req, 'offer.created', newOffer, 'offers', { name, description });
+        res.status(201).json({ ...adminOffer(newOffer), manageToken: secret.token, manageLink: manageLink(req, newOffer, secret.token) });
+    }));
+
+    // DELETE /api/offers/:id
+    app.delete('/api/offers/:id', asyncRoute(async (req, res) => {
+        if (!auth.isAdmin(req)) throw new HttpError(401, 'unauthorized');
+
+        const item = await db.offers.update(list => {
+            const index = list.findIndex(o => o.id === req.params.id);
+            if (index === -1) throw new HttpError(404, 'notFound');
+            return list.splice(index, 1)[0];
+        });
+        audit.record(req, 'offer.deleted', { id: item.id, name: item.name });
 
-    if (name.length > 50) return res.status(400).json({ error: 'Name too long (max 50 chars)' });
-    if (description.length > 1000) return res.status(400).json({ error: 'Description too long (max 1000 chars)' });
+        // Remove all photo variants
+        deleteOfferImages(item);
 
-    name = sanitize(name);
-    email = sanitize(email);
-    description = sanitize(description);
+        events.publish('offers', { action: 'deleted', id: req.params.id });
+        res.json({ success: true });
+    }));
+
+    // PATCH /api/offers/:id (Admin only) - Text fields, status and note to the giver, the photo stays
+    app.patch('/api/offers/:id', asyncRoute(async (req, res) => {
+        if (!auth.isAdmin(req)) throw new HttpError(401, 'unauthorized');
+
+        const review = parseOfferReviewFields(req.body);
+        const fields = { ...parseOfferFields(req.body, { partial: true }), ...review };
+        const before = db.offers.read().find(o => o.id === req.params.id);
+        const item = await patchRecord(db.offers, req.params.id, fields);
+        if (review.status && before && review.status !== before.status) {
+            audit.record(req, 'offer.status_changed', { id: item.id, name: item.name, status: item.status });
+        } else {
+            audit.record(req, 'offer.edited', { id: item.id, name: item.name });
+        }
+        if (!isPending(item)) events.publish('offers', { action: 'updated', item: publicOffer(item) });
+        res.json(adminOffer(item));
+    }));
 
-    const id = Date.now().toString();
-    const matches = imageBase64.match(/^data:([A-Za-z-+\/]+);base64,(.+)$/);
-    let filename = '';
+    // --- Giver self-service (manage link) ---
 
-    if (matches && matches.length === 3) {
-        const ext = 'jpg';
-        filename = `${id}.${ext}`;
-        const buffer = Buffer.from(matches[2], 'base64');
+    // GET /api/offers/:id/manage - The giver's view incl. status and note from the parents
+    app.get('/api/offers/:id/manage', (req, res) => {
+        res.json(adminOffer(findOwnOffer(db.offers.read(), req)));
+    });
+
+    // PATCH /api/offers/:id/manage - The giver updates name, email or description until it is picked up
+    app.patch('/api/offers/:id/manage', asyncRoute(async (req, res) => {
+        const fields = parseOfferFields(req.body, { partial: true });
+        const item = await db.offers.update(list => {
+            const offer = findOwnOffer(list, req);
+            if (offer.status === 'picked_up') throw new HttpError(409, 'alreadyPickedUp');
+            Object.assign(offer, fields, { updatedAt: new Date().toISOString() });
+
+            // Edited texts are checked against the blocklist again. Only a hit sends the offer back into
+            // the review queue, an approved offer stays visible with MODERATION=true.
+            const check = moderation.review([offer.name, offer.description]);
+            if (check.flaggedWords) Object.assign(offer, check);
+            return offer;
+        });
+        // Hide an offer that went back to review, otherwise show the update
+        events.publish('offers', isPending(item) ? { action: 'deleted', id: item.id } : { action: 'updated', item: publicOffer(item) });
+        res.json(adminOffer(item));
+    }));
+
+    // DELETE /api/offers/:id/manage - The giver withdraws the offer
+    app.delete('/api/offers/:id/manage', asyncRoute(async (req, res) => {
+        const item = await db.offers.update(list => {
+            const offer = findOwnOffer(list, req);
+            if (offer.status === 'picked_up') throw new HttpError(409, 'alreadyPickedUp');
+            return list.splice(list.indexOf(offer), 1)[0];
+        });
+        deleteOfferImages(item);
+        events.publish('offers', { action: 'deleted', id: item.id });
+        res.json({ success: true });
+    }));
 
+    // --- News (posted by the parents) ---
+    // { id, title, text, photos, pinned, timestamp, updatedAt }; pinned posts come first, then the newest
+
+    const sortNews = (list) => [...list].sort((a, b) => (b.pinned === true) - (a.pinned === true) || b.timestamp.localeCompare(a.timestamp));
+
+    // Multipart forms send the checkbox as string
+    const parseFlag = (value) => value === true || value === 'true' || value === 'on';
+
+    const parseNewsFields = (body, { partial = false } = {}) => {
+        const fields = {};
+        if (has(body, 'title', partial)) {
+            if (body.title && typeof body.title !== 'string') throw new HttpError(400, 'badRequest');
+            if (body.title && body.title.length > 100) throw new HttpError(400, 'newsTitleTooLong', { max: 100 });
+            fields.title = sanitize(body.title) || '';
+        }
+        if (has(body, 'text', partial)) {
+            if (!body.text || typeof body.text !== 'string' || !body.text.trim()) throw new HttpError(400, 'newsTextRequired');
+            if (body.text.length > 5000) throw new HttpError(400, 'newsTextTooLong', { max: 5000 });
+            fields.text = sanitize(body.text);
+        }
+        if (body.pinned !== undefined) fields.pinned = parseFlag(body.pinned);
+        return fields;
+    };
+
+    // GET /api/news
+    app.get('/api/news', (req, res) => {
+        res.json(sortNews(db.news.read()));
+    });
+
+    // POST /api/news (Admin only) - multipart/form-data with title, text, pinned and 0-6 `photos`
+    app.post('/api/news', photoUpload.array('photos', MAX_PHOTOS), asyncRoute(async (req, res) => {
+        if (!auth.isAdmin(req)) throw new HttpError(401, 'unauthorized');
+
+        const fields = parseNewsFields(req.body);
+        const id = Date.now().toString();
+        const photos = await storePhotos(req.files || [], `news-${id}`);
+        const post = { id, title: '', pinned: false, ...fields, photos, timestamp: new Date().toISOString() };
+
+        await db.news.update(list => {
+            list.push(post);
+        });
+        audit.record(req, 'news.created', { id, title: post.title });
+        events.publish('news', { action: 'created', item: post });
+        res.status(201).json(post);
+    }));
+
+    // PATCH /api/news/:id (Admin only) - Title, text and pinning, the photos stay
+    app.patch('/api/news/:id', asyncRoute(async (req, res) => {
+        if (!auth.isAdmin(req)) throw new HttpError(401, 'unauthorized');
+
+        const item = await patchRecord(db.news, req.params.id, parseNewsFields(req.body, { partial: true }));
+        audit.record(req, 'news.edited', { id: item.id, title: item.title, pinned: item.pinned });
+        events.publish('news', { action: 'updated', item });
+        res.json(item);
+    }));
+
+    // DELETE /api/news/:id (Admin only)
+    app.delete('/api/news/:id', asyncRoute(async (req, res) => {
+        if (!auth.isAdmin(req)) throw new HttpError(401, 'unauthorized');
+
+        const item = await db.news.update(list => {
+            const index = list.findIndex(n => n.id === req.params.id);
+            if (index === -1) throw new HttpError(404, 'notFound');
+            return list.splice(index, 1)[0];
+        });
+        deletePhotoFiles(item.photos, uploadsDir);
+        audit.record(req, 'news.deleted', { id: item.id, title: item.title });
+        events.publish('news', { action: 'deleted', id: item.id });
+        res.json({ success: true });
+    }));
+
+    // GET /news.atom - The 50 newest posts as Atom feed (outside /api, feed readers poll without rate limit)
+    app.get('/news.atom', (req, res) => {
+        // Photo URLs already contain the dashboard's path
+        const origin = `${req.protocol}://${req.get('host')}`;
+        const home = dashboardUrl(req);
+        const posts = [...db.news.read()].sort((a, b) => b.timestamp.localeCompare(a.timestamp)).slice(0, 50);
+        const updated = posts.map(p => p.updatedAt || p.timestamp).sort().pop() || new Date(0).toISOString();
+
+        const entries = posts.map(post => ({
+            id: `${home}#news-${post.id}`,
+            title: post.title || post.text.split('\n')[0].slice(0, 80),
+            link: `${home}#news-${post.id}`,
+            published: post.timestamp,
+            updated: post.updatedAt || post.timestamp,
+            // Texts are stored HTML-escaped, so they can be used as HTML content
+            html: post.text.replace(/\r?\n/g, '<br>')
+                + (post.photos || []).map(p => `<p><a href="${origin}${p.url}"><img src="${origin}${p.thumbUrl}" alt=""></a></p>`).join('')
+        }));
+
+        res.type('application/atom+xml; charset=utf-8').send(renderAtomFeed({
+            id: `${home}news.atom`,
+            title: translate(LANGUAGE, 'news.feedTitle', { title: settings.title }),
+            link: home,
+            selfLink: `${home}news.atom`,
+            updated,
+            language: LANGUAGE
+        }, entries));
+    });
+
+    // --- Guestbook ---
+    // { id, name, text, photo, guestId, reactions, reactedGuests, reactedIPs, timestamp }
+
+    // Who reacted is never sent to the browser, only the counts and the visitor's own reactions
+    const publicEntry = (entry, req) => {
+        const { reactedGuests, reactedIPs, flaggedWords, ...rest } = entry;
+        if (!req) return rest;
+        return { ...rest, myReactions: myReactions(entry, { guest: req.guest, voterKey: req.guest ? req.guest.id : req.ip }) };
+    };
+
+    const GUESTBOOK_COLUMNS = ['name', 'text', 'reactions', 'photo', 'timestamp'];
+
+    const parseGuestbookFields = (body) => {
+        if (!body.name || typeof body.name !== 'string' || !body.text || typeof body.text !== 'string') throw new HttpError(400, 'missingFields');
+        if (body.name.length > 50) throw new HttpError(400, 'nameTooLong', { max: 50 });
+        if (body.text.length > 2000) throw new HttpError(400, 'messageTooLong', { max: 2000 });
+        return { name: sanitize(body.name), text: sanitize(body.text) };
+    };
+
+    const deleteEntryPhoto = (entry) => deletePhotoFiles(entry.photo ? [entry.photo] : [], uploadsDir);
+
+    // GET /api/guestbook - Newest first
+    app.get('/api/guestbook', (req, res) => {
+        const entries = db.guestbook.read().filter(e => !isPending(e));
+        res.json(entries.reverse().map(e => publicEntry(e, req)));
+    });
+
+    // POST /api/guestbook - multipart/form-data with name, text and an optional `photo`
+    app.post('/api/guestbook', photoUpload.single('photo'), asyncRoute(async (req, res) => {
+        const guest = guestOf(req);
+        const { name, text } = parseGuestbookFields({ ...req.body, name: req.body.name || (guest && guest.name) });
+        // Before the photo is stored, so a rejected entry leaves no files behind
+        const check = moderation.review([name, text]);
+
+        const id = Date.now().toString();
+        const [photo] = req.file ? await storePhotos([req.file], `guestbook-${id}`) : [];
+        const entry = {
+            id,
+            name,
+            text,
+            photo: photo || null,
+            guestId: guest ? guest.id : null,
+            reactions: {},
+            timestamp: new Date().toISOString(),
+            ...check
+        };
+
+        await db.guestbook.update(list => {
+            list.push(entry);
+        });
+        if (!isPending(entry)) events.publish('guestbook', { action: 'created', item: publicEntry(entry) });
+        notifySubmission(req, 'guestbook.signed', entry, 'guestbook', { name, text });
+        res.status(201).json(publicEntry(entry, req));
+    }));
+
+    // POST /api/guestbook/:id/react { emoji } - Toggles the visitor's reaction
+    app.post('/api/guestbook/:id/react', asyncRoute(async (req, res) => {
+        const guest = guestOf(req);
+        if (!REACTIONS.includes(req.body.emoji)) throw new HttpError(400, 'invalidReaction', { options: REACTIONS.join(' ') });
+        const voter = { guest, voterKey: voterKeyOf(req) };
+
+        const entry = await db.guestbook.update(list => {
+            const entry = list.find(e => e.id === req.params.id);
+            if (!entry || isPending(entry)) throw new HttpError(404, 'notFound');
+            toggleReaction(entry, voter, req.body.emoji);
+            return entry;
+        });
+        events.publish('guestbook', { action: 'updated', item: publicEntry(entry) });
+        res.json(publicEntry(entry, req));
+    }));
+
+    // DELETE /api/guestbook/:id (Admin only)
+    app.delete('/api/guestbook/:id', asyncRoute(async (req, res) => {
+        if (!auth.isAdmin(req)) throw new HttpError(401, 'unauthorized');
+
+        const item = await db.guestbook.update(list => {
+            const index = list.findIndex(e => e.id === req.params.id);
+            if (index === -1) throw new HttpError(404, 'notFound');
+            return list.splice(index, 1)[0];
+        });
+        deleteEntryPhoto(item);
+        audit.record(req, 'guestbook.deleted', { id: item.id, name: item.name });
+        events.publish('guestbook', { action: 'deleted', id: item.id });
+        res.json({ success: true });
+    }));
+
+    // GET /api/guestbook/export?format=csv|json (Admin only) - All published messages, oldest first, for the memory book
+    app.get('/api/guestbook/export', (req, res) => {
+        if (!auth.isAdmin(req)) throw new HttpError(401, 'unauthorized');
+        const format = req.query.format === 'json' ? 'json' : 'csv';
+        const origin = `${req.protocol}://${req.get('host')}`;
+
+        const rows = db.guestbook.read().filter(e => !isPending(e)).map(entry => ({
+            name: unsanitize(entry.name),
+            text: unsanitize(entry.text),
+            reactions: Object.entries(entry.reactions || {}).map(([emoji, count]) => `${emoji} ${count}`).join(' '),
+            photo: entry.photo ? `${origin}${entry.photo.url}` : null,
+            timestamp: entry.timestamp
+        }));
+
+        const date = new Date().toISOString().split('T')[0];
+        res.attachment(`guestbook-${date}.${format}`);
+        if (format === 'json') return res.send(JSON.stringify(rows, null, 2));
+        res.type('text/csv').send(toCsv(rows, GUESTBOOK_COLUMNS));
+    });
+
+    // --- Visits (after the birth) ---
+    // The parents publish time slots with a capacity, guests book places in them. Like gift reservations,
+    // a booking returns a one-time cancellation token; only its hash is stored.
+
+    const parseTime = (value) => {
+        if (typeof value !== 'string' || !/^([01]\d|2[0-3]):[0-5]\d$/.test(value)) throw new HttpError(400, 'invalidDateTime');
+        return value;
+    };
+
+    const parseDay = (value) => {
+        if (!isValidDateTime(value, '00:00')) {
+            throw new HttpError(400, 'invalidDateTime');
+        }
+        return value;
+    };
+
+    const parseSlotFields = (body, previous = null) => {
+        const partial = !!previous;
+        const fields = {};
+        if (has(body, 'date', partial)) fields.date = parseDay(body.date);
+        if (has(body, 'start', partial)) fields.start = parseTime(body.start);
+        if (has(body, 'end', partial)) fields.end = parseTime(body.end);
+        const { start, end } = { ...previous, ...fields };
+        if (end <= start) throw new HttpError(400, 'visitEndBeforeStart');
+        if (has(body, 'capacity', partial)) {
+            const capacity = Number(body.capacity);
+            if (!Number.isInteger(capacity) || capacity < 1 || capacity > MAX_CAPACITY) throw new HttpError(400, 'invalidCapacity', { max: MAX_CAPACITY });
+            fields.capacity = capacity;
+        }
+        if (has(body, 'note', partial)) {
+            if (body.note && typeof body.note !== 'string') throw new HttpError(400, 'badRequest');
+            if (body.note && body.note.length > 200) throw new HttpError(400, 'visitNoteTooLong', { max: 200 });
+            fields.note = sanitize(body.note) || '';
+        }
+        return fields;
+    };
+
+    const visitCancelLink = (req, slot, token) => `${dashboardUrl(req)}?cancelVisit=${slot.id}&token=${token}`;
+
+    // GET /api/visits - All slots, earliest first; the parents also get the bookings
+    app.get('/api/visits', (req, res) => {
+        const slots = sortSlots(db.visits.read());
+        if (auth.isAdmin(req)) {
+            noStore(res).json(slots.map(adminSlot));
+        } else {
+            res.json(slots.map(publicSlot));
+        }
+    });
+
+    // POST /api/visits (Admin only) - { date, start, end, capacity, note }
+    app.post('/api/visits', asyncRoute(async (req, res) => {
+        if (!auth.isAdmin(req)) throw new HttpError(401, 'unauthorized');
+
+        const slot = { id: Date.now().toString(), note: '', ...parseSlotFields(req.body), bookings: [], createdAt: new Date().toISOString() };
+        await db.visits.update(list => {
+            list.push(slot);
+        });
+        audit.record(req, 'visit.created', { id: slot.id, date: slot.date, start: slot.start });
+        events.publish('visits', { action: 'created', item: publicSlot(slot) });
+        res.status(201).json(adminSlot(slot));
+    }));
+
+    // PATCH /api/visits/:id (Admin only) - Date, times, capacity and note. The capacity can't drop below the places booked.
+    app.patch('/api/visits/:id', asyncRoute(async (req, res) => {
+        if (!auth.isAdmin(req)) throw new HttpError(401, 'unauthorized');
+
+        const slot = await db.visits.update(list => {
+            const slot = list.find(s => s.id === req.params.id);
+            if (!slot) throw new HttpError(404, 'notFound');
+            const fields = parseSlotFields(req.body, slot);
+            const booked = bookedPeople(slot);
+            if (fields.capacity !== undefined && fields.capacity < booked) throw new HttpError(409, 'capacityBelowBookings', { booked });
+            return Object.assign(slot, fields, { updatedAt: new Date().toISOString() });
+        });
+        audit.record(req, 'visit.edited', { id: slot.id, date: slot.date, start: slot.start });
+        events.publish('visits', { action: 'updated', item: publicSlot(slot) });
+        res.json(adminSlot(slot));
+    }));
+
+    // DELETE /api/visits/:id (Admin only) - Removes the slot with its bookings
+    app.delete('/api/visits/:id', asyncRoute(async (req, res) => {
+        if (!auth.isAdmin(req)) throw new HttpError(401, 'unauthorized');
+
+        const slot = await db.visits.update(list => {
+            const index = list.findIndex(s => s.id === req.params.id);
+            if (index === -1) throw new HttpError(404, 'notFound');
+            return list.splice(index, 1)[0];
+        });
+        audit.record(req, 'visit.deleted', { id: slot.id, date: slot.date, start: slot.start, bookings: slot.bookings.length });
+        events.publish('visits', { action: 'deleted', id: slot.id });
+        res.json({ success: true });
+    }));
+
+    // POST /api/visits/:id/book - { name, people }. Returns the booking with its one-time `cancelToken`.
+    // Invited guests book each slot once.
+    app.post('/api/visits/:id/book', asyncRoute(async (req, res) => {
+        const guest = guestOf(req);
+        let { name, people = 1 } = req.body;
+        if (name && typeof name !== 'string') throw new HttpError(400, 'badRequest');
+        if (name && name.length > 50) throw new HttpError(400, 'nameTooLong', { max: 50 });
+        name = sanitize(name) || (guest && guest.name);
+        if (!name) throw new HttpError(400, 'nameRequired');
+        people = Number(people);
+
+        const secret = createSecretToken();
+        let booking;
+        const slot = await db.visits.update(list => {
+            const slot = list.find(s => s.id === req.params.id);
+            if (!slot) throw new HttpError(404, 'notFound');
+            if (isOver(slot)) throw new HttpError(409, 'visitOver');
+            if (guest && slot.bookings.some(b => b.guestId === guest.id)) throw new HttpError(409, 'alreadyBooked');
+            if (!Number.isInteger(people) || people < 1) throw new HttpError(400, 'invalidVisitors');
+            const free = freePlaces(slot);
+            if (people > free) throw new HttpError(409, 'visitFull', { free });
+
+            booking = { id: Date.now().toString(), name, people, guestId: guest ? guest.id : null, tokenHash: secret.hash, createdAt: new Date().toISOString() };
+            slot.bookings.push(booking);
+            return slot;
+        });
+        events.publish('visits', { action: 'updated', item: publicSlot(slot) });
+        notify(req, 'visit.booked', { name, people, date: slot.date, start: slot.start, end: slot.end });
+        res.status(201).json({
+            ...publicSlot(slot),
+            booking: { id: booking.id, name: booking.name, people: booking.people },
+            cancelToken: secret.token,
+            cancelLink: visitCancelLink(req, slot, secret.token)
+        });
+    }));
+
+    // POST /api/visits/:id/cancel - { token } or { bookingId }. Needs the cancellation token, the booking guest or the admin.
+    app.post('/api/visits/:id/cancel', asyncRoute(async (req, res) => {
+        const { token, bookingId } = req.body;
+        const isAdmin = auth.isAdmin(req);
+        let booking;
+        const slot = await db.visits.update(list => {
+            const slot = list.find(s => s.id === req.params.id);
+            if (!slot) throw new HttpError(404, 'notFound');
+            booking = bookingId
+                ? slot.bookings.find(b => b.id === bookingId)
+                : slot.bookings.find(b => checkSecretToken(b.tokenHash, token));
+            if (!booking) throw new HttpError(404, 'notFound');
+
+            const isOwner = (req.guest && req.guest.id === booking.guestId) || checkSecretToken(booking.tokenHash, token);
+            if (!isOwner && !isAdmin) throw new HttpError(403, 'bookedBySomeoneElse');
+            slot.bookings.splice(slot.bookings.indexOf(booking), 1);
+            return slot;
+        });
+        if (isAdmin) audit.record(req, 'visit.booking_cancelled', { id: slot.id, date: slot.date, start: slot.start, name: booking.name });
+        events.publish('visits', { action: 'updated', item: publicSlot(slot) });
+        res.json(isAdmin ? adminSlot(slot) : publicSlot(slot));
+    }));
+
+    // --- Dates (scheduled by the parents, e.g. christening or welcome party) ---
+    // { id, title, date, start, end, location, note, createdAt }; without start they last the whole day
+
+    const sortAppointments = (list) => [...list].sort((a, b) => `${a.date}T${a.start || ''}`.localeCompare(`${b.date}T${b.start || ''}`));
+
+    const parseAppointmentFields = (body, previous = null) => {
+        const partial = !!previous;
+        const fields = {};
+        if (has(body, 'title', partial)) {
+            if (!body.title || typeof body.title !== 'string' || !body.title.trim()) throw new HttpError(400, 'titleRequired');
+            if (body.title.length > 100) throw new HttpError(400, 'titleTooLong', { max: 100 });
+            fields.title = sanitize(body.title);
+        }
+        if (has(body, 'date', partial)) fields.date = parseDay(body.date);
+        ['start', 'end'].forEach(key => {
+            if (has(body, key, partial)) fields[key] = body[key] ? parseTime(body[key]) : null;
+        });
+        const { start, end } = { ...previous, ...fields };
+        if (end && (!start || end <= start)) throw new HttpError(400, 'visitEndBeforeStart');
+        [['location', 200], ['note', 500]].forEach(([key, max]) => {
+            if (!has(body, key, partial)) return;
+            if (body[key] && typeof body[key] !== 'string') throw new HttpError(400, 'badRequest');
+            if (body[key] && body[key].length > max) throw new HttpError(400, 'textTooLong', { max });
+            fields[key] = sanitize(body[key]) || '';
+        });
+        return fields;
+    };
+
+    // GET /api/appointments
+    app.get('/api/appointments', (req, res) => {
+        res.json(sortAppointments(db.appointments.read()));
+    });
+
+    // POST /api/appointments (Admin only) - { title, date, start, end, location, note }
+    app.post('/api/appointments', asyncRoute(async (req, res) => {
+        if (!auth.isAdmin(req)) throw new HttpError(401, 'unauthorized');
+
+        const item = {
+            id: Date.now().toString(), start: null, end: null, location: '', note: '',
+            ...parseAppointmentFields(req.body),
+            createdAt: new Date().toISOString()
+        };
+        await db.appointments.update(list => {
+            list.push(item);
+        });
+        audit.record(req, 'appointment.created', { id: item.id, title: item.title, date: item.date });
+        events.publish('appointments', { action: 'created', item });
+        res.status(201).json(item);
+    }));
+
+    // PATCH /api/appointments/:id (Admin only)
+    app.patch('/api/appointments/:id', asyncRoute(async (req, res) => {
+        if (!auth.isAdmin(req)) throw new HttpError(401, 'unauthorized');
+
+        const item = await db.appointments.update(list => {
+            const item = list.find(a => a.id === req.params.id);
+            if (!item) throw new HttpError(404, 'notFound');
+            return Object.assign(item, parseAppointmentFields(req.body, item), { updatedAt: new Date().toISOString() });
+        });
+        audit.record(req, 'appointment.edited', { id: item.id, title: item.title, date: item.date });
+        events.publish('appointments', { action: 'updated', item });
+        res.json(item);
+    }));
+
+    // DELETE /api/appointments/:id (Admin only)
+    app.delete('/api/appointments/:id', asyncRoute(async (req, res) => {
+        if (!auth.isAdmin(req)) throw new HttpError(401, 'unauthorized');
+
+        const item = await db.appointments.update(list => {
+            const index = list.findIndex(a => a.id === req.params.id);
+            if (index === -1) throw new HttpError(404, 'notFound');
+            return list.splice(index, 1)[0];
+        });
+        audit.record(req, 'appointment.deleted', { id: item.id, title: item.title, date: item.date });
+        events.publish('appointments', { action: 'deleted', id: item.id });
+        res.json({ success: true });
+    }));
+
+    // GET /calendar.ics?guest=<invite token>&tokens=<cancellation tokens> - iCalendar feed with the due date, the dates
+    // and the visits booked with the invite link or the tokens (comma-separated, at most MAX_CALENDAR_TOKENS).
+    // Outside /api like the news feed, but rate limited like the API: every token is hashed for every booking.
+    app.get('/calendar.ics', limiter, (req, res) => {
+        let guest = null;
+        if (req.query.guest) {
+            guest = db.guests.read().find(g => g.token === req.query.guest && !g.revoked);
+            if (!guest) throw new HttpError(403, 'invalidInvite');
+        }
+        const tokens = String(req.query.tokens || '').split(',').filter(Boolean);
+        if (tokens.length > MAX_CALENDAR_TOKENS) throw new HttpError(400, 'tooManyCalendarTokens', { max: MAX_CALENDAR_TOKENS });
+        const home = dashboardUrl(req);
+        const uidHost = `${req.get('host')}${basePath}`;
+        const { dueDate } = pregnancyDates();
+
+        const entries = [{
+            uid: `due-date@${uidHost}`,
+            summary: translate(LANGUAGE, 'calendar.dueDate', { title: settings.title }),
+            date: dueDate.slice(0, 10),
+            url: home
+        }];
+        // The dates and visits belong to the visits tab
+        if (settings.tabs.includes('visits')) {
+            sortAppointments(db.appointments.read()).forEach(item => entries.push({
+                uid: `appointment-${item.id}@${uidHost}`,
+                summary: unsanitize(item.title),
+                description: unsanitize(item.note),
+                location: unsanitize(item.location),
+                date: item.date,
+                start: item.start,
+                end: item.end,
+                url: home
+            }));
+            sortSlots(db.visits.read()).forEach(slot => slot.bookings
+                .filter(b => (guest && b.guestId === guest.id) || tokens.some(token => checkSecretToken(b.tokenHash, token)))
+                .forEach(booking => entries.push({
+                    uid: `visit-${booking.id}@${uidHost}`,
+                    summary: translate(LANGUAGE, 'calendar.visit', { title: settings.title }),
+                    description: [translate(LANGUAGE, 'calendar.visitors', { name: unsanitize(booking.name), people: booking.people }), unsanitize(slot.note)]
+                        .filter(Boolean).join('\n'),
+                    date: slot.date,
+                    start: slot.start,
+                    end: slot.end,
+                    url: home
+                })));
+        }
+
+        res.type('text/calendar; charset=utf-8').send(renderCalendar({
+            name: translate(LANGUAGE, 'calendar.name', { title: settings.title }),
+            stamp: new Date().toISOString()
+        }, entries));
+    });
+
+    // --- Admin Bulk Actions ---
+    // Cleanup that has to happen after records are removed (e.g. image files)
+    const BULK_DELETE_CLEANUP = {
+        names: () => { },
+        wishlist: () => { },
+        bets: () => { },
+        offers: deleteOfferImages,
+        guestbook: deleteEntryPhoto
+    };
+
+    // POST /api/bulk-delete { collection, ids } (Admin only)
+    app.post('/api/bulk-delete', asyncRoute(async (req, res) => {
+        if (!auth.isAdmin(req)) throw new HttpError(401, 'unauthorized');
+
+        const { collection, ids } = req.body;
+        // Own keys only, "constructor" or "toString" are no collections
+        if (typeof collection !== 'string' || !Object.hasOwn(BULK_DELETE_CLEANUP, collection)) throw new HttpError(400, 'invalidCollection');
+        const cleanup = BULK_DELETE_CLEANUP[collection];
+        if (!Array.isArray(ids) || ids.length === 0) throw new HttpError(400, 'noIds');
+
+        const removed = await db[collection].update(list => {
+            const gone = list.filter(i => ids.includes(i.id));
+            const kept = list.filter(i => !ids.includes(i.id));
+            list.splice(0, list.length, ...kept);
+            return gone;
+        });
+
+        removed.forEach(item => {
+            cleanup(item);
+            events.publish(collection, { action: 'deleted', id: item.id });
+        });
+        audit.record(req, `${collection}.bulk_deleted`, { count: removed.length, ids: removed.map(i => i.id).join(',') });
+        res.json({ success: true, deleted: removed.length });
+    }));
+
+    // --- Moderation Queue (Admin) ---
+    // Pending submissions are hidden from all public lists until approved. Rejecting deletes them.
+    // `queued` picks the records waiting for a decision, by default the pending ones
+    const MODERATED = {
+        // Published names can wait with details added by a later suggestion of the same name
+        names: { label: 'name', publicItem: (n) => publicName(n), queued: (n) => isPending(n) || !!n.pendingDetails },
+        offers: { label: 'offer', publicItem: publicOffer },
+        bets: { label: 'bet', publicItem: publicBet },
+        guestbook: { label: 'guestbook_entry', publicItem: (e) => publicEntry(e) }
+    };
+
+    // GET /api/moderation - All pending submissions, grouped by collection
+    app.get('/api/moderation', (req, res) => {
+        if (!auth.isAdmin(req)) throw new HttpError(401, 'unauthorized');
+
+        const queue = {};
+        Object.entries(MODERATED).forEach(([collection, config]) => {
+            queue[collection] = db[collection].read()
+                .filter(config.queued || isPending)
+                .map(({ votedIPs, votedGuests, manageTokenHash, ...item }) => item);
+        });
+        res.json(queue);
+    });
+
+    // POST /api/moderation/:collection/:id/approve - Publish a pending submission
+    app.post('/api/moderation/:collection/:id/approve', asyncRoute(async (req, res) => {
+        if (!auth.isAdmin(req)) throw new HttpError(401, 'unauthorized');
+        if (!Object.hasOwn(MODERATED, req.params.collection)) throw new HttpError(400, 'invalidCollection');
+        const config = MODERATED[req.params.collection];
+
+        let detailsOnly = false;
+        const item = await db[req.params.collection].update(list => {
+            const item = list.find(i => i.id === req.params.id);
+            if (item && !isPending(item) && item.pendingDetails) {
+                // Only fields that are still empty, the parents may have filled them in meanwhile
+                Object.entries(item.pendingDetails).forEach(([key, value]) => {
+                    if (!item[key]) item[key] = value;
+                });
+                delete item.pendingDetails;
+                detailsOnly = true;
+                return item;
+            }
+            if (!item || !isPending(item)) throw new HttpError(404, 'noPendingSubmission');
+            item.moderation = 'approved';
+            delete item.flaggedWords;
+            return item;
+        });
+        audit.record(req, `${config.label}.${detailsOnly ? 'details_approved' : 'approved'}`, { id: item.id, name: item.name });
+        events.publish(req.params.collection, { action: detailsOnly ? 'updated' : 'created', item: config.publicItem(item) });
+        res.json(config.publicItem(item));
+    }));
+
+    // POST /api/moderation/:collection/:id/reject - Delete a pending submission
+    app.post('/api/moderation/:collection/:id/reject', asyncRoute(async (req, res) => {
+        if (!auth.isAdmin(req)) throw new HttpError(401, 'unauthorized');
+        if (!Object.hasOwn(MODERATED, req.params.collection)) throw new HttpError(400, 'invalidCollection');
+        const config = MODERATED[req.params.collection];
+
+        // Rejected details of a published name are dropped, the name stays
+        const { removed, detailsOnly } = await db[req.params.collection].update(list => {
+            const index = list.findIndex(i => i.id === req.params.id);
+            const item = list[index];
+            if (item && !isPending(item) && item.pendingDetails) {
+                delete item.pendingDetails;
+                return { removed: item, detailsOnly: true };
+            }
+            if (index === -1 || !isPending(item)) throw new HttpError(404, 'noPendingSubmission');
+            return { removed: list.splice(index, 1)[0], detailsOnly: false };
+        });
+        if (!detailsOnly) BULK_DELETE_CLEANUP[req.params.collection](removed);
+        audit.record(req, `${config.label}.${detailsOnly ? 'details_rejected' : 'rejected'}`, { id: removed.id, name: removed.name });
+        res.json({ success: true });
+    }));
+
+    // --- Backup & Restore (Admin) ---
+    // One .tar.gz with all collections, the uploaded photos and a manifest (see lib/backup.js)
+
+    const archiveName = (prefix) => `${prefix}-${new Date().toISOString().replace(/[:.]/g, '-')}.tar.gz`;
+
+    // Once the download has started, errors can only abort the response
+    const sendArchive = async (res, fileName, write) => {
+        res.attachment(fileName);
+        res.type('application/gzip');
         try {
-            await sharp(buffer)
-                .resize({ width: 800, withoutEnlargement: true })
-                .jpeg({ quality: 80 })
-                .toFile(path.join(UPLOADS_DIR, filename));
+            await write(res);
         } catch (err) {
-            console.error('Image processing failed:', err);
-            return res.status(400).json({ error: 'Invalid image data' });
+            if (!res.headersSent) throw err;
+            console.error('[BACKUP] Download aborted:', err);
+            res.destroy();
         }
-    } else {
-        return res.status(400).json({ error: 'Invalid image format' });
-    }
+    };
 
-    const list = readOffers();
-    const newOffer = {
-        id,
-        name,
-        email,
-        description,
-        imageUrl: `/uploads/${filename}`,
-        timestamp: new Date().toISOString()
+    // GET /api/backup (Admin only) - Download everything as one archive
+    app.get('/api/backup', asyncRoute(async (req, res) => {
+        if (!auth.isAdmin(req)) throw new HttpError(401, 'unauthorized');
+        audit.record(req, 'backup.downloaded');
+        await sendArchive(res, archiveName('baby-dashboard-backup'), (output) => writeBackup(output, { db, uploadsDir: uploadsDir }));
+    }));
+
+    // POST /api/backup/restore[?dryRun=true] (Admin only) - Body: the archive as application/gzip.
+    // A dry run only reports what would change. A real restore first saves a snapshot of the current state.
+    app.post('/api/backup/restore', asyncRoute(async (req, res) => {
+        if (!auth.isAdmin(req)) throw new HttpError(401, 'unauthorized');
+        if (Number(req.headers['content-length']) > MAX_ARCHIVE_BYTES) {
+            throw new HttpError(413, 'backupTooLarge', { maxMb: MAX_ARCHIVE_BYTES / 1024 / 1024 });
+        }
+        const dryRun = req.query.dryRun === 'true';
+
+        const stagingDir = path.join(dataDir, `.restore-${Date.now()}`);
+        try {
+            const contents = await readBackup(req, stagingDir);
+            const report = await compareBackup(contents, { db, uploadsDir: uploadsDir });
+            if (dryRun) return res.json({ dryRun, ...report });
+
+            const snapshot = archiveName('pre-restore');
+            await fs.promises.mkdir(snapshotsDir, { recursive: true });
+            await writeBackup(fs.createWriteStream(path.join(snapshotsDir, snapshot)), { db, uploadsDir: uploadsDir });
+            await pruneSnapshots(snapshotsDir);
+
+            await applyBackup(contents, { db, uploadsDir: uploadsDir, stagingDir });
+            audit.record(req, 'backup.restored', { createdAt: report.backup.createdAt, snapshot });
+            // Every list changed, the open pages reload
+            events.publish('restored', { snapshot });
+            res.json({ dryRun, snapshot, ...report });
+        } finally {
+            await fs.promises.rm(stagingDir, { recursive: true, force: true });
+        }
+    }));
+
+    // GET /api/backup/snapshots (Admin only) - The pre-restore snapshots, newest first
+    app.get('/api/backup/snapshots', asyncRoute(async (req, res) => {
+        if (!auth.isAdmin(req)) throw new HttpError(401, 'unauthorized');
+        if (!fs.existsSync(snapshotsDir)) return res.json([]);
+
+        const files = (await fs.promises.readdir(snapshotsDir)).filter(f => f.endsWith('.tar.gz')).sort().reverse();
+        res.json(await Promise.all(files.map(async file => {
+            const stat = await fs.promises.stat(path.join(snapshotsDir, file));
+            return { file, size: stat.size, createdAt: stat.mtime.toISOString() };
+        })));
+    }));
+
+    // GET /api/backup/snapshots/:file (Admin only) - Download a snapshot, e.g. to undo a restore
+    app.get('/api/backup/snapshots/:file', (req, res, next) => {
+        if (!auth.isAdmin(req)) throw new HttpError(401, 'unauthorized');
+        const file = path.basename(req.params.file);
+        if (!file.endsWith('.tar.gz') || !fs.existsSync(path.join(snapshotsDir, file))) throw new HttpError(404, 'notFound');
+        res.download(path.join(snapshotsDir, file), file, (err) => { if (err && !res.headersSent) next(err); });
+    });
+
+    app.use(errorHandler);
+
+    // Stops the timers and live update streams when the dashboard is archived
+    const close = () => {
+        stopDigestSchedule();
+        events.close();
     };
 
-    list.push(newOffer);
-    writeOffers(list);
-    res.status(201).json(newOffer);
+    return { app, close };
+}
+
+// --- Hosted Dashboards (Super-Admin) ---
+// The dashboard at "/" is configured by the environment. Further dashboards live at /<slug>/ with their own
+// data directory, title, dates, admin PIN and tabs; the super-admin manages them at /super.html.
+// { slug, title, dueDate, pregnancyStart, adminPinHash, tabs, archived, createdAt, archivedAt }
+const app = express();
+app.set('trust proxy', 1);
+app.use(detectLanguage);
+
+const rootDashboard = createDashboard({ dataDir: DATA_DIR, settings: ROOT_SETTINGS });
+const registry = createCollection(path.join(DATA_DIR, 'dashboards.json'), { defaultValue: [] });
+const hosted = new Map(); // slug -> { settings, dashboard } of the active dashboards
+const archivedSlugs = new Set(registry.read().filter(d => d.archived).map(d => d.slug));
+
+const startDashboard = (record) => {
+    const settings = { ...record };
+    const dashboard = createDashboard({ basePath: `/${record.slug}`, dataDir: path.join(DASHBOARDS_DIR, record.slug), settings });
+    hosted.set(record.slug, { settings, dashboard });
+};
+
+registry.read().filter(d => !d.archived).forEach(startDashboard);
+
+const superAuth = createAuth({
+    pin: SUPER_ADMIN_PIN,
+    secret: crypto.createHmac('sha256', SESSION_SECRET).update('super-admin').digest('hex'),
+    ttlMs: SESSION_HOURS * 60 * 60 * 1000,
+    cookieName: 'super_session',
+    pinHeader: 'x-super-admin-pin'
 });
+const superAudit = createAuditLog(path.join(DATA_DIR, 'super-audit.log'));
 
-// DELETE /api/offers/:id
-app.delete('/api/offers/:id', (req, res) => {
-    const pin = req.headers['x-admin-pin'];
-    if (pin !== ADMIN_PIN) return res.status(401).json({ error: 'Unauthorized' });
+const superLimiter = rateLimit({
+    windowMs: 15 * 60 * 1000,
+    max: RATE_LIMIT_MAX,
+    handler: (req, res, next) => next(new HttpError(429, 'tooManyRequests'))
+});
 
-    let list = readOffers();
-    const item = list.find(o => o.id === req.params.id);
-    if (!item) return res.status(404).json({ error: 'Not found' });
+// Without SUPER_ADMIN_PIN the super-admin API does not exist
+app.use('/api/super', (req, res, next) => {
+    if (!SUPER_ADMIN_PIN) throw new HttpError(404, 'notFound');
+    next();
+}, superLimiter, express.json({ limit: '100kb' }));
 
-    // Try to delete the image file
-    try {
-        const filePath = path.join(DATA_DIR, 'uploads', item.imageUrl.replace('/uploads/', ''));
-        if (fs.existsSync(filePath)) {
-            fs.unlinkSync(filePath);
-        }
-    } catch (err) {
-        console.error('Error deleting image:', err);
+const requireSuperAdmin = (req) => {
+    if (!superAuth.isAdmin(req)) throw new HttpError(401, 'unauthorized');
+};
+
+// POST /api/super/login - Exchange the super-admin PIN for a session cookie
+app.post('/api/super/login', (req, res) => {
+    if (!superAuth.checkPin(req, req.body.pin)) {
+        superAudit.record(req, req.lockedOut ? 'login.locked' : 'login.failed');
+        throw new HttpError(401, 'unauthorized');
     }
+    const session = superAuth.createSession();
+    superAuth.setSessionCookie(req, res, session);
+    superAudit.record(req, 'login');
+    res.json({ success: true, expiresAt: new Date(session.expiresAt).toISOString() });
+});
 
-    list = list.filter(o => o.id !== req.params.id);
-    writeOffers(list);
+// POST /api/super/logout
+app.post('/api/super/logout', (req, res) => {
+    superAuth.clearSessionCookie(res);
     res.json({ success: true });
 });
 
+// GET /api/super/session - Is the browser logged in as super-admin?
+app.get('/api/super/session', (req, res) => {
+    const expiresAt = superAuth.verifySession(req);
+    res.json({ admin: !!expiresAt, expiresAt: expiresAt ? new Date(expiresAt).toISOString() : null });
+});
+
+// GET /api/super/dashboards (Super-admin only) - All hosted dashboards, archived ones included
+app.get('/api/super/dashboards', (req, res) => {
+    requireSuperAdmin(req);
+    res.json(registry.read().map(publicDashboard));
+});
+
+// POST /api/super/dashboards (Super-admin only) - { slug, title, dueDate, pregnancyStart, adminPin, tabs }
+app.post('/api/super/dashboards', asyncRoute(async (req, res) => {
+    requireSuperAdmin(req);
+    const settings = parseDashboard(req.body);
+    const record = await registry.update(list => {
+        // Archived dashboards keep their slug, their data is still on disk
+        if (list.some(d => d.slug === settings.slug)) throw new HttpError(409, 'slugTaken', { slug: settings.slug });
+        const record = { ...settings, archived: false, createdAt: new Date().toISOString(), archivedAt: null };
+        list.push(record);
+        return record;
+    });
+    startDashboard(record);
+    superAudit.record(req, 'dashboard.created', { slug: record.slug, title: record.title });
+    res.status(201).json(publicDashboard(record));
+}));
+
+// PATCH /api/super/dashboards/:slug (Super-admin only) - Change title, dates, admin PIN or tabs of a dashboard.
+// A running dashboard picks the changes up immediately.
+app.patch('/api/super/dashboards/:slug', asyncRoute(async (req, res) => {
+    requireSuperAdmin(req);
+    const record = await registry.update(list => {
+        const record = list.find(d => d.slug === req.params.slug);
+        if (!record) throw new HttpError(404, 'notFound');
+        return Object.assign(record, parseDashboard(req.body, record));
+    });
+    const running = hosted.get(record.slug);
+    if (running) Object.assign(running.settings, record);
+    superAudit.record(req, 'dashboard.updated', { slug: record.slug, fields: Object.keys(req.body) });
+    res.json(publicDashboard(record));
+}));
+
+// POST /api/super/dashboards/:slug/archive (Super-admin only) - Take a dashboard offline, keeping its data
+app.post('/api/super/dashboards/:slug/archive', asyncRoute(async (req, res) => {
+    requireSuperAdmin(req);
+    const record = await registry.update(list => {
+        const record = list.find(d => d.slug === req.params.slug);
+        if (!record) throw new HttpError(404, 'notFound');
+        record.archived = true;
+        record.archivedAt = new Date().toISOString();
+        return record;
+    });
+    const running = hosted.get(record.slug);
+    if (running) {
+        hosted.delete(record.slug);
+        running.dashboard.close();
+    }
+    archivedSlugs.add(record.slug);
+    superAudit.record(req, 'dashboard.archived', { slug: record.slug });
+    res.json(publicDashboard(record));
+}));
+
+// POST /api/super/dashboards/:slug/unarchive (Super-admin only) - Bring an archived dashboard back online
+app.post('/api/super/dashboards/:slug/unarchive', asyncRoute(async (req, res) => {
+    requireSuperAdmin(req);
+    const record = await registry.update(list => {
+        const record = list.find(d => d.slug === req.params.slug);
+        if (!record) throw new HttpError(404, 'notFound');
+        record.archived = false;
+        record.archivedAt = null;
+        return record;
+    });
+    if (!hosted.has(record.slug)) startDashboard(record);
+    archivedSlugs.delete(record.slug);
+    superAudit.record(req, 'dashboard.unarchived', { slug: record.slug });
+    res.json(publicDashboard(record));
+}));
+
+// Requests below /<slug>/ go to that dashboard, everything else to the dashboard at "/"
+app.use('/:slug', (req, res, next) => {
+    const { slug } = req.params;
+    const running = hosted.get(slug);
+    if (!running) {
+        if (archivedSlugs.has(slug)) throw new HttpError(410, 'dashboardArchived');
+        return next();
+    }
+    // The page uses relative URLs, which need the trailing slash
+    const [pathname] = req.originalUrl.split('?');
+    if (pathname === `/${slug}`) return res.redirect(`/${slug}/${req.originalUrl.slice(pathname.length)}`);
+    running.dashboard.app(req, res, next);
+});
+
+app.use(rootDashboard.app);
+app.use(errorHandler);
+
 // --- Server Start ---
 app.listen(PORT, '0.0.0.0', () => {
-    console.log(`Server running on port ${PORT}`);
+    console.log(`Server running on port ${PORT} (storage: ${process.env.STORAGE_DRIVER || 'json'}, hosted dashboards: ${hosted.size})`);
 });
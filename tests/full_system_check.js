@@ -1,9 +1,27 @@
+// End-to-end checks against a running server: node tests/full_system_check.js
+// The suite sends a few hundred API requests from one address, more than the default rate limit of
+// 300 per 15 minutes, so start the server with a higher limit, e.g.
+//   RATE_LIMIT_MAX=1000 ADMIN_PIN=test-pin node server.js
+// and point the checks at it with TEST_HOST, TEST_PORT and the same ADMIN_PIN.
+// Start it with STORAGE_DRIVER=sqlite to run the same checks on the SQLite driver (see also tests/sqlite_storage_check.js).
 const http = require('http');
+const net = require('net');
+const crypto = require('crypto');
+const zlib = require('zlib');
+const { writeTar, TarParser } = require('../lib/tar');
 
 const HOST = process.env.TEST_HOST || '192.168.178.51';
 const PORT = process.env.TEST_PORT || 8091;
 const PIN = process.env.ADMIN_PIN || 'test-pin';
 const PIN_HEADER = { 'x-admin-pin': PIN };
+// A word from the server's BLOCKLIST. The moderation checks are skipped without it.
+const BLOCKED_WORD = process.env.TEST_BLOCKED_WORD;
+// Port of the local SMTP stand-in. The notification checks are skipped without it; the server needs
+// SMTP_HOST=<STANDIN_HOST> SMTP_PORT=<TEST_SMTP_PORT> WEBHOOK_RETRY_DELAYS=1 to reach the stand-ins.
+const SMTP_PORT = process.env.TEST_SMTP_PORT;
+const STANDIN_HOST = process.env.TEST_STANDIN_HOST || '127.0.0.1';
+// The server's SUPER_ADMIN_PIN. The hosted dashboard checks are skipped without it.
+const SUPER_PIN = process.env.TEST_SUPER_ADMIN_PIN;
 
 // Request Helper
 function request(method, path, body = null, headers = {}) {
@@ -29,7 +47,7 @@ function request(method, path, body = null, headers = {}) {
                 } catch (e) {
                     parsed = data;
                 }
-                resolve({ status: res.statusCode, body: parsed });
+                resolve({ status: res.statusCode, body: parsed, headers: res.headers });
             });
         });
 
@@ -39,6 +57,175 @@ function request(method, path, body = null, headers = {}) {
     });
 }
 
+// Sends multipart/form-data: fields is an object of strings, files a list of { field, filename, type, data }
+function requestMultipart(path, fields, files, headers = {}) {
+    const boundary = `----check${Date.now()}`;
+    const parts = [];
+    Object.entries(fields).forEach(([key, value]) => {
+        parts.push(Buffer.from(`--${boundary}\r\nContent-Disposition: form-data; name="${key}"\r\n\r\n${value}\r\n`));
+    });
+    files.forEach(file => {
+        parts.push(Buffer.from(`--${boundary}\r\nContent-Disposition: form-data; name="${file.field}"; filename="${file.filename}"\r\nContent-Type: ${file.type}\r\n\r\n`));
+        parts.push(file.data, Buffer.from('\r\n'));
+    });
+    parts.push(Buffer.from(`--${boundary}--\r\n`));
+    const body = Buffer.concat(parts);
+
+    return new Promise((resolve, reject) => {
+        const req = http.request({
+            hostname: HOST,
+            port: PORT,
+            path,
+            method: 'POST',
+            headers: { ...headers, 'Content-Type': `multipart/form-data; boundary=${boundary}`, 'Content-Length': body.length }
+        }, (res) => {
+            let data = '';
+            res.on('data', (chunk) => { data += chunk; });
+            res.on('end', () => {
+                let parsed;
+                try {
+                    parsed = data ? JSON.parse(data) : {};
+                } catch (e) {
+                    parsed = data;
+                }
+                resolve({ status: res.statusCode, body: parsed, headers: res.headers });
+            });
+        });
+        req.on('error', (e) => reject(e));
+        req.end(body);
+    });
+}
+
+// Sends a raw body (e.g. a backup archive) and returns the response body as a Buffer
+function requestBinary(method, path, body = null, headers = {}) {
+    return new Promise((resolve, reject) => {
+        const req = http.request({ hostname: HOST, port: PORT, path, method, headers }, (res) => {
+            const chunks = [];
+            res.on('data', (chunk) => chunks.push(chunk));
+            res.on('end', () => resolve({ status: res.statusCode, body: Buffer.concat(chunks), headers: res.headers }));
+        });
+        req.on('error', (e) => reject(e));
+        req.end(body);
+    });
+}
+
+// Backup archives: { name: Buffer } <-> .tar.gz
+const unpackArchive = (archive) => new Promise((resolve, reject) => {
+    const files = {};
+    const parser = new TarParser(({ name }, data) => { files[name] = data; });
+    parser.on('finish', () => resolve(files)).on('error', reject);
+    parser.end(zlib.gunzipSync(archive));
+});
+const packArchive = (files) => new Promise((resolve, reject) => {
+    const gzip = zlib.createGzip();
+    const chunks = [];
+    gzip.on('data', (chunk) => chunks.push(chunk)).on('end', () => resolve(Buffer.concat(chunks))).on('error', reject);
+    writeTar(gzip, Object.entries(files).map(([name, data]) => ({ name, data: Buffer.from(data) })));
+});
+
+// Valid 1x1 PNG for sharp to parse
+const TEST_PNG = Buffer.from('iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAQAAAC1HAwCAAAAC0lEQVR42mNkYAAAAAYAAjCB0C8AAAAASUVORK5CYII=', 'base64');
+const photo = (data = TEST_PNG, filename = 'photo.png') => ({ field: 'photos', filename, type: 'image/png', data });
+
+// Opens the SSE stream and collects parsed events until close() is called
+function listenEvents(path) {
+    const events = [];
+    let buffer = '';
+    const stream = { events, headers: null };
+    const req = http.get({ hostname: HOST, port: PORT, path }, (res) => {
+        stream.headers = res.headers;
+        res.setEncoding('utf8');
+        res.on('data', (chunk) => {
+            buffer += chunk;
+            const blocks = buffer.split('\n\n');
+            buffer = blocks.pop();
+            blocks.forEach(block => {
+                const type = (block.match(/^event: (.*)$/m) || [])[1];
+                const data = (block.match(/^data: (.*)$/m) || [])[1];
+                if (type && data) events.push({ type, data: JSON.parse(data) });
+            });
+        });
+    });
+    req.on('error', () => { });
+    stream.close = () => req.destroy();
+    return stream;
+}
+
+// Polls until predicate matches one of the collected events
+async function waitForEvent(events, predicate, timeout = 2000) {
+    const start = Date.now();
+    while (Date.now() - start < timeout) {
+        const found = events.find(predicate);
+        if (found) return found;
+        await new Promise(r => setTimeout(r, 50));
+    }
+    throw new Error('Event not received');
+}
+
+// Polls until a stand-in has received `count` messages
+async function waitForCount(list, count, timeout = 5000) {
+    const start = Date.now();
+    while (list.length < count) {
+        if (Date.now() - start > timeout) throw new Error(`Expected ${count} deliveries, got ${list.length}`);
+        await new Promise(r => setTimeout(r, 50));
+    }
+}
+
+// Minimal SMTP server that accepts every mail and keeps { recipients, data }
+function startSmtpStandIn(port) {
+    const messages = [];
+    const server = net.createServer(socket => {
+        let buffer = '';
+        let message = null;
+        socket.write('220 standin ESMTP\r\n');
+        socket.on('data', chunk => {
+            buffer += chunk.toString('utf8');
+            if (message && message.reading) {
+                const end = buffer.indexOf('\r\n.\r\n');
+                if (end === -1) return;
+                message.data = buffer.slice(0, end);
+                buffer = buffer.slice(end + 5);
+                message.reading = false;
+                messages.push(message);
+                socket.write('250 OK queued\r\n');
+            }
+            let index;
+            while (!(message && message.reading) && (index = buffer.indexOf('\r\n')) !== -1) {
+                const line = buffer.slice(0, index);
+                buffer = buffer.slice(index + 2);
+                if (/^EHLO/i.test(line)) socket.write('250-standin\r\n250 AUTH PLAIN\r\n');
+                else if (/^MAIL FROM/i.test(line)) { message = { recipients: [] }; socket.write('250 OK\r\n'); }
+                else if (/^RCPT TO:<(.*)>/i.test(line)) { message.recipients.push(line.match(/<(.*)>/)[1]); socket.write('250 OK\r\n'); }
+                else if (/^DATA/i.test(line)) { message.reading = true; socket.write('354 Go ahead\r\n'); }
+                else if (/^QUIT/i.test(line)) socket.end('221 Bye\r\n');
+                else socket.write('250 OK\r\n');
+            }
+        });
+        socket.on('error', () => { });
+    });
+    return new Promise(resolve => server.listen(port, () => resolve({ messages, close: () => server.close() })));
+}
+
+// HTTP receiver for webhooks; answers with the queued status codes first, then 200
+function startWebhookStandIn() {
+    const requests = [];
+    const statuses = [];
+    const server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+            requests.push({ headers: req.headers, body });
+            res.writeHead(statuses.shift() || 200).end();
+        });
+    });
+    return new Promise(resolve => server.listen(0, () => resolve({
+        url: `http://${STANDIN_HOST}:${server.address().port}/hook`, requests, statuses, close: () => server.close()
+    })));
+}
+
+// The body of a mail from lib/smtp.js (base64 encoded)
+const mailText = (message) => Buffer.from(message.data.split('\r\n\r\n').slice(1).join('').replace(/\s/g, ''), 'base64').toString('utf8');
+
 // Test Suite
 async function runTests() {
     console.log(`\n🔍 STARTING SYSTEM CHECK - ${new Date().toISOString()}\n`);
@@ -83,6 +270,58 @@ async function runTests() {
         if (res.body.dislikes !== 1) throw new Error('Dislike count mismatch');
     });
 
+    await test('Names API - Concurrent Votes are not lost', async () => {
+        const voters = Array.from({ length: 10 }, (_, i) => `198.51.100.${i + 1}`);
+        await Promise.all(voters.map(ip => request('POST', '/api/vote', { id: testNameId, type: 'up' }, { 'x-forwarded-for': ip })));
+        const res = await request('GET', '/api/names');
+        const name = res.body.find(n => n.id === testNameId);
+        if (!name) throw new Error('Name not found');
+        if (name.votes !== 11) throw new Error(`Expected 11 votes, got ${name.votes}`);
+    });
+
+    await test('Names API - Edit Name (No PIN)', async () => {
+        const res = await request('PATCH', `/api/names/${testNameId}`, { name: "TestBabyFixed" });
+        if (res.status !== 401) throw new Error(`Should return 401, got ${res.status}`);
+    });
+
+    await test('Names API - Edit Name keeps Votes (With PIN)', async () => {
+        const res = await request('PATCH', `/api/names/${testNameId}`, { name: "<b>TestBabyFixed</b>" }, PIN_HEADER);
+        if (res.status !== 200) throw new Error(`Status ${res.status}`);
+        if (res.body.name !== "&lt;b&gt;TestBabyFixed&lt;/b&gt;") throw new Error('Name not sanitized');
+        if (res.body.votes !== 11) throw new Error(`Votes lost, got ${res.body.votes}`);
+    });
+
+    await test('Names API - Edit Name validates like POST', async () => {
+        const res = await request('PATCH', `/api/names/${testNameId}`, { name: "x".repeat(51) }, PIN_HEADER);
+        if (res.status !== 400) throw new Error(`Should return 400, got ${res.status}`);
+    });
+
+    let taggedNameId;
+    await test('Names API - Add Name with Meaning, Origin and Gender', async () => {
+        const res = await request('POST', '/api/names', { name: "  léna ", origin: "Greek", gender: "girl", suggestedBy: "Grandma" });
+        if (res.status !== 201) throw new Error(`Status ${res.status}`);
+        if (res.body.name !== "Léna") throw new Error(`Name not normalised, got ${res.body.name}`);
+        if (res.body.origin !== "Greek" || res.body.gender !== "girl" || res.body.suggestedBy !== "Grandma") throw new Error('Tags not stored');
+        taggedNameId = res.body.id;
+
+        const invalid = await request('POST', '/api/names', { name: "Mila", gender: "cat" });
+        if (invalid.status !== 400) throw new Error(`Invalid gender should return 400, got ${invalid.status}`);
+    });
+
+    await test('Names API - Duplicate Name is merged', async () => {
+        const res = await request('POST', '/api/names', { name: "LENA", meaning: "light" });
+        if (res.status !== 200 || !res.body.merged) throw new Error(`Should merge with status 200, got ${res.status}`);
+        if (res.body.id !== taggedNameId) throw new Error('Merged into the wrong name');
+        if (res.body.meaning !== "light" || res.body.origin !== "Greek") throw new Error('Details not merged');
+
+        const list = await request('GET', '/api/names');
+        if (list.body.filter(n => n.id === taggedNameId).length !== 1 || list.body.some(n => n.name === 'Lena')) throw new Error('Duplicate created');
+
+        const rename = await request('PATCH', `/api/names/${testNameId}`, { name: "lena" }, PIN_HEADER);
+        if (rename.status !== 409) throw new Error(`Renaming to a duplicate should return 409, got ${rename.status}`);
+        await request('DELETE', `/api/names/${taggedNameId}`, null, PIN_HEADER);
+    });
+
     await test('Names API - Delete Name (No PIN)', async () => {
         const res = await request('DELETE', `/api/names/${testNameId}`);
         if (res.status !== 401) throw new Error(`Should return 401, got ${res.status}`);
@@ -93,9 +332,104 @@ async function runTests() {
         if (res.status !== 200) throw new Error(`Status ${res.status}`);
     });
 
+    // --- NAME DUELS ---
+    await test('Duel API - Pick updates Elo Ratings and is recorded once', async () => {
+        const voter = { 'x-forwarded-for': '198.51.100.77' };
+        const a = await request('POST', '/api/names', { name: "DuelA" });
+        const b = await request('POST', '/api/names', { name: "DuelB" });
+
+        const next = await request('GET', '/api/duel', null, voter);
+        if (!next.body.pair || next.body.pair.length !== 2 || next.body.total !== 1) throw new Error('No pair offered');
+
+        const same = await request('POST', '/api/duel', { winnerId: a.body.id, loserId: a.body.id }, voter);
+        if (same.status !== 400) throw new Error(`Same name twice should return 400, got ${same.status}`);
+
+        const res = await request('POST', '/api/duel', { winnerId: a.body.id, loserId: b.body.id }, voter);
+        if (res.status !== 200) throw new Error(`Status ${res.status}`);
+        if (res.body.winner.rating !== 1016 || res.body.loser.rating !== 984) throw new Error(`Unexpected ratings ${res.body.winner.rating}/${res.body.loser.rating}`);
+
+        const again = await request('POST', '/api/duel', { winnerId: b.body.id, loserId: a.body.id }, voter);
+        if (again.status !== 409) throw new Error(`Repeated pair should return 409, got ${again.status}`);
+
+        const done = await request('GET', '/api/duel', null, voter);
+        if (done.body.pair !== null || done.body.decided !== 1) throw new Error('Decided pair offered again');
+        const other = await request('GET', '/api/duel', null, { 'x-forwarded-for': '198.51.100.78' });
+        if (!other.body.pair) throw new Error('Other voters should still get the pair');
+
+        const history = await request('GET', '/api/duel/history', null, voter);
+        if (history.body.length !== 1 || history.body[0].winner !== 'DuelA') throw new Error('History mismatch');
+
+        await request('POST', '/api/bulk-delete', { collection: 'names', ids: [a.body.id, b.body.id] }, PIN_HEADER);
+    });
+
+
+    // --- ADMIN AUTHENTICATION ---
+    let sessionCookie;
+    await test('Auth API - Login (Wrong PIN)', async () => {
+        const res = await request('POST', '/api/login', { pin: 'wrong' });
+        if (res.status !== 401) throw new Error(`Should return 401, got ${res.status}`);
+    });
+
+    await test('Auth API - Login (Correct PIN) sets Session Cookie', async () => {
+        const res = await request('POST', '/api/login', { pin: PIN });
+        if (res.status !== 200) throw new Error(`Status ${res.status}`);
+        const cookie = (res.headers['set-cookie'] || []).find(c => c.startsWith('admin_session='));
+        if (!cookie || !/HttpOnly/i.test(cookie)) throw new Error('No HttpOnly session cookie');
+        sessionCookie = cookie.split(';')[0];
+    });
+
+    await test('Auth API - Session Cookie grants Admin Access', async () => {
+        const session = await request('GET', '/api/session', null, { cookie: sessionCookie });
+        if (!session.body.admin) throw new Error('Session not recognized');
+        const res = await request('GET', '/api/audit', null, { cookie: sessionCookie });
+        if (res.status !== 200) throw new Error(`Status ${res.status}`);
+        if (!res.body.some(e => e.action === 'login')) throw new Error('Login missing in audit log');
+        if (!res.body.some(e => e.action === 'login.failed')) throw new Error('Failed login missing in audit log');
+    });
+
+    await test('Auth API - Malformed foreign Cookie does not break the Session', async () => {
+        const res = await request('GET', '/api/audit', null, { cookie: `foo=100%; ${sessionCookie}` });
+        if (res.status !== 200) throw new Error(`Status ${res.status}`);
+    });
+
+    await test('Auth API - Tampered Session Cookie is rejected', async () => {
+        const res = await request('GET', '/api/audit', null, { cookie: sessionCookie.slice(0, -2) + 'xx' });
+        if (res.status !== 401) throw new Error(`Should return 401, got ${res.status}`);
+    });
+
+    await test('Auth API - Lockout after repeated wrong PINs', async () => {
+        const attacker = { 'x-forwarded-for': '203.0.113.66' };
+        for (let i = 0; i < 5; i++) await request('POST', '/api/login', { pin: `wrong-${i}` }, attacker);
+        const res = await request('POST', '/api/login', { pin: PIN }, attacker);
+        if (res.status !== 429) throw new Error(`Should return 429, got ${res.status}`);
+    });
+
+    await test('Auth API - Logout', async () => {
+        const res = await request('POST', '/api/logout', null, { cookie: sessionCookie });
+        if (res.status !== 200) throw new Error(`Status ${res.status}`);
+        if (!(res.headers['set-cookie'] || []).some(c => c.startsWith('admin_session=;'))) throw new Error('Cookie not cleared');
+    });
+
+
+    // --- LIVE UPDATES (SSE) ---
+    await test('Events API - Stream publishes new Names', async () => {
+        const stream = listenEvents('/api/events');
+        try {
+            await waitForEvent(stream.events, e => e.type === 'hello');
+            const res = await request('POST', '/api/names', { name: "LiveBaby" });
+            if (res.status !== 201) throw new Error(`Status ${res.status}`);
+            await waitForEvent(stream.events, e => e.type === 'names' && e.data.action === 'created' && e.data.item.id === res.body.id);
+
+            await request('DELETE', `/api/names/${res.body.id}`, null, PIN_HEADER);
+            await waitForEvent(stream.events, e => e.type === 'names' && e.data.action === 'deleted' && e.data.id === res.body.id);
+        } finally {
+            stream.close();
+        }
+    });
+
 
     // --- WISHLIST ---
-    let wishId;
+    let wishId, cancelToken;
     await test('Wishlist API - Add Item (With PIN)', async () => {
         const item = { name: "TestItem", link: "http://test.com", price: "10€" };
         const res = await request('POST', '/api/wishlist', item, PIN_HEADER);
@@ -103,10 +437,56 @@ async function runTests() {
         wishId = res.body.id;
     });
 
+    await test('Wishlist API - Edit Item rejects invalid Link', async () => {
+        const res = await request('PATCH', `/api/wishlist/${wishId}`, { link: "javascript:alert(1)" }, PIN_HEADER);
+        if (res.status !== 400) throw new Error(`Should return 400, got ${res.status}`);
+    });
+
+    await test('Wishlist API - Links are stored percent-encoded', async () => {
+        const res = await request('PATCH', `/api/wishlist/${wishId}`, { link: 'https://shop.example/a"b?q="><img src=x>' }, PIN_HEADER);
+        if (res.status !== 200) throw new Error(`Status ${res.status}`);
+        if (/["<>]/.test(res.body.link)) throw new Error(`Link not encoded: ${res.body.link}`);
+        await request('PATCH', `/api/wishlist/${wishId}`, { link: "http://test.com" }, PIN_HEADER);
+    });
+
+    await test('Wishlist API - Edit Item Price (With PIN)', async () => {
+        const res = await request('PATCH', `/api/wishlist/${wishId}`, { price: "12€" }, PIN_HEADER);
+        if (res.status !== 200) throw new Error(`Status ${res.status}`);
+        if (res.body.price !== "12€" || res.body.name !== "TestItem") throw new Error('Item not updated correctly');
+        if (res.body.priceValue !== 12 || res.body.currency !== 'EUR') throw new Error('Price not parsed');
+    });
+
     await test('Wishlist API - Reserve Item', async () => {
         const res = await request('POST', '/api/wishlist/reserve', { id: wishId, reservedBy: "Tester" });
         if (res.status !== 200) throw new Error(`Status ${res.status}`);
         if (!res.body.reserved) throw new Error('Not reserved');
+        if (!res.body.cancelToken || !res.body.cancelLink) throw new Error('Cancellation token missing');
+        if (res.body.reservationTokenHash !== undefined) throw new Error('Token hash leaked');
+        cancelToken = res.body.cancelToken;
+    });
+
+    await test('Wishlist API - Release needs Cancellation Token', async () => {
+        const toggle = await request('POST', '/api/wishlist/reserve', { id: wishId });
+        if (toggle.status !== 403) throw new Error(`Should return 403, got ${toggle.status}`);
+        const wrong = await request('POST', `/api/wishlist/${wishId}/cancel`, { token: 'nope' });
+        if (wrong.status !== 403) throw new Error(`Should return 403, got ${wrong.status}`);
+
+        const res = await request('POST', `/api/wishlist/${wishId}/cancel`, { token: cancelToken });
+        if (res.status !== 200 || res.body.reserved) throw new Error('Reservation not released');
+        const again = await request('POST', `/api/wishlist/${wishId}/cancel`, { token: cancelToken });
+        if (again.status !== 409) throw new Error(`Should return 409, got ${again.status}`);
+    });
+
+    await test('Wishlist API - Reserve with Intent reports Conflicts', async () => {
+        const release = await request('POST', '/api/wishlist/reserve', { id: wishId, reserve: false });
+        if (release.status !== 409 || release.body.code !== 'notReserved') throw new Error(`Got ${release.status} ${release.body.code}`);
+        const res = await request('POST', '/api/wishlist/reserve', { id: wishId, reserve: true });
+        if (res.status !== 200 || !res.body.reserved) throw new Error('Not reserved');
+        // A reservation queued offline must not release the one made in the meantime
+        const late = await request('POST', '/api/wishlist/reserve', { id: wishId, reserve: true });
+        if (late.status !== 409 || late.body.code !== 'alreadyReserved') throw new Error(`Got ${late.status} ${late.body.code}`);
+        const again = await request('GET', '/api/wishlist');
+        if (!again.body.find(i => i.id === wishId).reserved) throw new Error('Reservation was released');
     });
 
     await test('Wishlist API - Delete Item (With PIN)', async () => {
@@ -114,6 +494,77 @@ async function runTests() {
         if (res.status !== 200) throw new Error(`Status ${res.status}`);
     });
 
+    let groupId, firstPledgeId;
+    await test('Wishlist API - Group Gift pledges fill the quantity', async () => {
+        const item = { name: "Muslin Cloths", link: "http://test.com", quantity: 3 };
+        const created = await request('POST', '/api/wishlist', item, PIN_HEADER);
+        if (created.status !== 201 || created.body.quantity !== 3) throw new Error(`Status ${created.status}`);
+        groupId = created.body.id;
+
+        const first = await request('POST', `/api/wishlist/${groupId}/pledge`, { name: "Aunt", units: 2 });
+        if (first.status !== 201) throw new Error(`Status ${first.status}`);
+        if (first.body.reserved || first.body.pledged !== 2) throw new Error('Partial pledge should not fulfil the wish');
+        firstPledgeId = first.body.pledges[0].id;
+        if (first.body.pledges[0].guestId !== undefined) throw new Error('Pledge leaks guest id');
+
+        const tooMany = await request('POST', `/api/wishlist/${groupId}/pledge`, { name: "Uncle", units: 2 });
+        if (tooMany.status !== 400) throw new Error(`Over-pledge should return 400, got ${tooMany.status}`);
+
+        const last = await request('POST', `/api/wishlist/${groupId}/pledge`, { name: "Uncle", units: 1 });
+        if (last.status !== 201 || !last.body.reserved) throw new Error('Wish should be fulfilled');
+
+        const extra = await request('POST', `/api/wishlist/${groupId}/pledge`, { name: "Late", units: 1 });
+        if (extra.status !== 409) throw new Error(`Fulfilled wish should return 409, got ${extra.status}`);
+    });
+
+    await test('Wishlist API - Group Gift cannot be reserved as a whole', async () => {
+        const res = await request('POST', '/api/wishlist/reserve', { id: groupId });
+        if (res.status !== 400) throw new Error(`Should return 400, got ${res.status}`);
+    });
+
+    await test('Wishlist API - Pledge withdrawal needs owner or PIN', async () => {
+        const anon = await request('DELETE', `/api/wishlist/${groupId}/pledge/${firstPledgeId}`);
+        if (anon.status !== 403) throw new Error(`Should return 403, got ${anon.status}`);
+
+        const admin = await request('DELETE', `/api/wishlist/${groupId}/pledge/${firstPledgeId}`, null, PIN_HEADER);
+        if (admin.status !== 200) throw new Error(`Status ${admin.status}`);
+        if (admin.body.reserved || admin.body.pledged !== 1) throw new Error('Withdrawal should reopen the wish');
+
+        await request('DELETE', `/api/wishlist/${groupId}`, null, PIN_HEADER);
+    });
+
+    await test('Wishlist API - Group Gift with target amount', async () => {
+        const item = { name: "Stroller", link: "http://test.com", targetAmount: 300 };
+        const created = await request('POST', '/api/wishlist', item, PIN_HEADER);
+        if (created.status !== 201) throw new Error(`Status ${created.status}`);
+
+        const res = await request('POST', `/api/wishlist/${created.body.id}/pledge`, { name: "Grandma", amount: 300 });
+        if (res.status !== 201 || !res.body.reserved || res.body.pledges[0].amount !== 300) throw new Error('Amount pledge not recorded');
+
+        await request('DELETE', `/api/wishlist/${created.body.id}`, null, PIN_HEADER);
+    });
+
+
+    await test('Wishlist API - Import rejects the whole file on an invalid Row', async () => {
+        const data = 'name,link\r\nGood,http://test.com\r\nBad,ftp://test.com\r\n';
+        const res = await request('POST', '/api/wishlist/import', { format: 'csv', data }, PIN_HEADER);
+        if (res.status !== 400 || !/Row 2/.test(res.body.error)) throw new Error(`Should return 400 for row 2, got ${res.status}`);
+    });
+
+    await test('Wishlist API - Import CSV and Export', async () => {
+        const data = 'Name;Link;Category;Price;Quantity\r\n"Bodysuits; size 56";http://test.com;Clothing;"1.299,50 €";3\r\n';
+        const res = await request('POST', '/api/wishlist/import', { format: 'csv', data }, PIN_HEADER);
+        if (res.status !== 201 || res.body.imported !== 1) throw new Error(`Status ${res.status}`);
+
+        const exported = await request('GET', '/api/wishlist/export?format=json', null, PIN_HEADER);
+        const item = exported.body.find(i => i.name === 'Bodysuits; size 56');
+        if (!item) throw new Error('Imported wish missing in export');
+        if (item.category !== 'clothing' || item.priceValue !== 1299.5 || item.quantity !== 3) throw new Error('Fields not imported correctly');
+
+        const list = await request('GET', '/api/wishlist');
+        await request('POST', '/api/bulk-delete', { collection: 'wishlist', ids: list.body.map(i => i.id) }, PIN_HEADER);
+    });
+
 
     // --- BETS ---
     let betId;
@@ -124,6 +575,115 @@ async function runTests() {
         betId = res.body.id;
     });
 
+    await test('Bets API - Edit Bet (With PIN)', async () => {
+        const res = await request('PATCH', `/api/bets/${betId}`, { weight: "3300" }, PIN_HEADER);
+        if (res.status !== 200) throw new Error(`Status ${res.status}`);
+        if (res.body.weight !== 3300) throw new Error('Weight not updated');
+        await request('PATCH', `/api/bets/${betId}`, { weight: 3500 }, PIN_HEADER);
+    });
+
+    await test('Bets API - Add Bet validates Ranges', async () => {
+        const heavy = await request('POST', '/api/bets', { name: "Joker", date: "2026-08-20", weight: 20000, size: 50 });
+        if (heavy.status !== 400) throw new Error(`Weight out of range should return 400, got ${heavy.status}`);
+        const date = await request('POST', '/api/bets', { name: "Joker", date: "tomorrow", weight: 3500, size: 50 });
+        if (date.status !== 400) throw new Error(`Invalid date should return 400, got ${date.status}`);
+        const february = await request('POST', '/api/bets', { name: "Joker", date: "2026-02-30", weight: 3500, size: 50 });
+        if (february.status !== 400) throw new Error(`February 30th should return 400, got ${february.status}`);
+        const midnight = await request('POST', '/api/bets', { name: "Joker", date: "2026-08-20", time: "24:00", weight: 3500, size: 50 });
+        if (midnight.status !== 400) throw new Error(`24:00 should return 400, got ${midnight.status}`);
+    });
+
+    await test('Bets API - Extra Guess Fields and Statistics', async () => {
+        const fields = [
+            { label: "Hair colour", type: "choice", options: ["blond", "brown", "none"], required: true },
+            { label: "Head circumference", type: "number", min: 30, max: 40, unit: "cm" }
+        ];
+        const denied = await request('PUT', '/api/bets/fields', { fields });
+        if (denied.status !== 401) throw new Error(`Should return 401, got ${denied.status}`);
+        const invalid = await request('PUT', '/api/bets/fields', { fields: [{ label: "Sex", type: "choice", options: ["girl"] }] }, PIN_HEADER);
+        if (invalid.status !== 400) throw new Error(`Choice with one option should return 400, got ${invalid.status}`);
+        const saved = await request('PUT', '/api/bets/fields', { fields }, PIN_HEADER);
+        if (saved.status !== 200 || saved.body[0].id !== 'hair-colour') throw new Error('Fields not saved');
+
+        const bet = { name: "ExtraBet", date: "2026-08-24", time: "12:00", weight: 3100, size: 52 };
+        const missing = await request('POST', '/api/bets', bet);
+        if (missing.status !== 400) throw new Error(`Missing required guess should return 400, got ${missing.status}`);
+        const outOfRange = await request('POST', '/api/bets', { ...bet, extra: { 'hair-colour': 'blond', 'head-circumference': 50 } });
+        if (outOfRange.status !== 400) throw new Error(`Guess out of range should return 400, got ${outOfRange.status}`);
+        const res = await request('POST', '/api/bets', { ...bet, extra: { 'hair-colour': 'blond', 'head-circumference': '35' } });
+        if (res.status !== 201 || res.body.extra['head-circumference'] !== 35) throw new Error('Extra guesses not stored');
+
+        const stats = await request('GET', '/api/bets/stats');
+        if (stats.body.count !== 2 || stats.body.weight.median !== 3300) throw new Error(`Unexpected weight stats ${JSON.stringify(stats.body.weight)}`);
+        if (stats.body.date.min.date !== '2026-08-20' || stats.body.date.byDay['2026-08-24'] !== 1) throw new Error('Unexpected date stats');
+        if (stats.body.extra['hair-colour'][0].value !== 'blond') throw new Error('Choice stats missing');
+
+        await request('DELETE', `/api/bets/${res.body.id}`, null, PIN_HEADER);
+        await request('PUT', '/api/bets/fields', { fields: [] }, PIN_HEADER);
+    });
+
+    await test('Pregnancy API - Week Table', async () => {
+        const res = await request('GET', '/api/pregnancy');
+        if (res.status !== 200 || !Array.isArray(res.body.weeks)) throw new Error(`Status ${res.status}`);
+        if (!(res.body.startDate < res.body.dueDate)) throw new Error(`Start ${res.body.startDate} not before due date ${res.body.dueDate}`);
+        const week40 = res.body.weeks.find(w => w.week === 40);
+        const expected = res.body.units === 'imperial' ? 'lb' : 'kg';
+        if (!week40 || !week40.length || week40.weight.unit !== expected) throw new Error('Week 40 missing or in the wrong unit');
+        if (res.body.birth !== null) throw new Error('Birth details before the birth');
+    });
+
+    await test('Bets API - Record Result (No PIN)', async () => {
+        const res = await request('POST', '/api/bets/result', { date: "2026-08-21", time: "08:30", weight: 3400, size: 51 });
+        if (res.status !== 401) throw new Error(`Should return 401, got ${res.status}`);
+    });
+
+    await test('Bets API - Leaderboard before Result', async () => {
+        const res = await request('GET', '/api/bets/leaderboard');
+        if (res.status !== 404) throw new Error(`Should return 404, got ${res.status}`);
+    });
+
+    await test('Bets API - Record Result rejects impossible Dates', async () => {
+        const res = await request('POST', '/api/bets/result', { date: "2026-04-31", time: "08:30", weight: 3400, size: 51 }, PIN_HEADER);
+        if (res.status !== 400 || res.body.code !== 'invalidDateTime') throw new Error(`Should return 400, got ${res.status}`);
+    });
+
+    await test('Bets API - Record Result (With PIN)', async () => {
+        const res = await request('POST', '/api/bets/result', { date: "2026-08-21", time: "08:30", weight: 3400, size: 51 }, PIN_HEADER);
+        if (res.status !== 200) throw new Error(`Status ${res.status}`);
+        if (res.body.weight !== 3400) throw new Error('Result weight mismatch');
+    });
+
+    await test('Pregnancy API - Birth Details after Result', async () => {
+        const res = await request('GET', '/api/pregnancy');
+        const birth = res.body.birth;
+        if (!birth || birth.date !== '2026-08-21' || birth.time !== '08:30') throw new Error('Birth details missing');
+        const weight = res.body.units === 'imperial' ? { value: 7.5, unit: 'lb' } : { value: 3.4, unit: 'kg' };
+        if (birth.weight.value !== weight.value || birth.weight.unit !== weight.unit) throw new Error(`Weight ${JSON.stringify(birth.weight)}`);
+    });
+
+    await test('Bets API - Add Bet after Result is locked', async () => {
+        const bet = { name: "LateBet", date: "2026-08-22", time: "12:00", weight: 3000, size: 50 };
+        const res = await request('POST', '/api/bets', bet);
+        if (res.status !== 403) throw new Error(`Should return 403, got ${res.status}`);
+    });
+
+    await test('Bets API - Leaderboard scores Bet', async () => {
+        const res = await request('GET', '/api/bets/leaderboard');
+        if (res.status !== 200) throw new Error(`Status ${res.status}`);
+        const entry = res.body.leaderboard.find(b => b.id === betId);
+        if (!entry) throw new Error('Bet missing from leaderboard');
+        if (entry.rank !== 1) throw new Error(`Expected rank 1, got ${entry.rank}`);
+        // 20.5h/24 + 100g/100 + 1cm with default weights
+        if (entry.score !== 2.85) throw new Error(`Unexpected score ${entry.score}`);
+    });
+
+    await test('Bets API - Reopen Game (With PIN)', async () => {
+        const res = await request('DELETE', '/api/bets/result', null, PIN_HEADER);
+        if (res.status !== 200) throw new Error(`Status ${res.status}`);
+        const check = await request('GET', '/api/bets/result');
+        if (check.body.result !== null) throw new Error('Result still present');
+    });
+
     await test('Bets API - Delete Bet (With PIN)', async () => {
         const res = await request('DELETE', `/api/bets/${betId}`, null, PIN_HEADER);
         if (res.status !== 200) throw new Error(`Status ${res.status}`);
@@ -131,17 +691,61 @@ async function runTests() {
 
 
     // --- FLOhMARKT (OFFERS) ---
-    let offerId;
+    let offerId, offerToken, offerPhotos;
     await test('Offers API - Add Offer', async () => {
-        const offer = {
-            name: "TestUser",
-            email: "test@example.com",
-            description: "Babybett",
-            imageBase64: "data:image/png;base64,iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAQAAAC1HAwCAAAAC0lEQVR42mNkYAAAAAYAAjCB0C8AAAAASUVORK5CYII=" // Valid 1x1 PNG for sharp to parse
-        };
-        const res = await request('POST', '/api/offers', offer);
+        const offer = { name: "TestUser", email: "test@example.com", description: "Babybett" };
+        const res = await requestMultipart('/api/offers', offer, [photo(), photo()]);
         if (res.status !== 201) throw new Error(`Status ${res.status}`);
+        if (res.body.photos.length !== 2 || !res.body.photos.every(p => p.url && p.thumbUrl)) throw new Error('Photo variants missing');
+        offerPhotos = res.body.photos;
+        const thumb = await request('GET', offerPhotos[0].thumbUrl);
+        if (thumb.status !== 200 || thumb.headers['content-type'] !== 'image/webp') throw new Error('Thumbnail not served');
+        if (res.body.status !== 'open' || !res.body.manageToken) throw new Error('Status or manage token missing');
+        if (res.body.manageTokenHash !== undefined) throw new Error('Token hash leaked');
         offerId = res.body.id;
+        offerToken = res.body.manageToken;
+    });
+
+    await test('Offers API - Upload rejects Files that are no Images', async () => {
+        const fake = photo(Buffer.from('GIF-lookalike, definitely not an image'), 'fake.png');
+        const res = await requestMultipart('/api/offers', { name: "TestUser", description: "Fake" }, [fake]);
+        if (res.status !== 400) throw new Error(`Should return 400, got ${res.status}`);
+        const none = await requestMultipart('/api/offers', { name: "TestUser", description: "No photo" }, []);
+        if (none.status !== 400) throw new Error(`Should return 400 without photos, got ${none.status}`);
+    });
+
+    await test('Events API - Failed Requests publish nothing', async () => {
+        const stream = listenEvents('/api/events');
+        try {
+            await waitForEvent(stream.events, e => e.type === 'hello');
+            const res = await request('DELETE', `/api/offers/${offerId}-missing`, null, PIN_HEADER);
+            if (res.status !== 404) throw new Error(`Status ${res.status}`);
+            if (stream.events.some(e => e.type === 'offers')) throw new Error('Failed request published an event');
+        } finally {
+            stream.close();
+        }
+    });
+
+    await test('Events API - Stream is not rate limited and counts Changes for Reconnects', async () => {
+        const first = listenEvents('/api/events');
+        let hello;
+        try {
+            hello = (await waitForEvent(first.events, e => e.type === 'hello')).data;
+            if (first.headers['x-ratelimit-limit'] || first.headers['ratelimit-limit']) throw new Error('Stream counts against the rate limit');
+        } finally {
+            first.close();
+        }
+        const added = await request('POST', '/api/names', { name: "Reconnecta" });
+        const second = listenEvents('/api/events');
+        try {
+            const again = (await waitForEvent(second.events, e => e.type === 'hello')).data;
+            if (again.instance !== hello.instance) throw new Error('Instance changed without a restart');
+            if (again.revisions.names !== (hello.revisions.names || 0) + 1) throw new Error(`Names revision ${hello.revisions.names} -> ${again.revisions.names}`);
+            if ((again.revisions.offers || 0) !== (hello.revisions.offers || 0)) throw new Error('Offers revision changed');
+        } finally {
+            second.close();
+        }
+        await request('DELETE', `/api/names/${added.body.id}`, null, PIN_HEADER);
     });
 
     await test('Offers API - Get Offers (Public API hides email)', async () => {
@@ -160,11 +764,749 @@ async function runTests() {
         if (found.email !== "test@example.com") throw new Error('Email missing or mismatched in admin response');
     });
 
+    await test('Offers API - Admin sets Status and Note to the Giver', async () => {
+        const invalid = await request('PATCH', `/api/offers/${offerId}`, { status: 'sold' }, PIN_HEADER);
+        if (invalid.status !== 400) throw new Error(`Should return 400, got ${invalid.status}`);
+
+        const res = await request('PATCH', `/api/offers/${offerId}`, { status: 'accepted', parentNote: 'Saturday?' }, PIN_HEADER);
+        if (res.status !== 200 || res.body.status !== 'accepted') throw new Error(`Status ${res.status}`);
+
+        const list = await request('GET', '/api/offers');
+        const found = list.body.find(o => o.id === offerId);
+        if (found.status !== 'accepted' || found.parentNote !== undefined) throw new Error('Public list should show status but not the note');
+    });
+
+    await test('Offers API - Giver manages own Offer with Token', async () => {
+        const denied = await request('GET', `/api/offers/${offerId}/manage`, null, { 'x-offer-token': 'nope' });
+        if (denied.status !== 403) throw new Error(`Should return 403, got ${denied.status}`);
+
+        const headers = { 'x-offer-token': offerToken };
+        const view = await request('GET', `/api/offers/${offerId}/manage`, null, headers);
+        if (view.body.parentNote !== 'Saturday?') throw new Error('Note not visible to giver');
+
+        const edit = await request('PATCH', `/api/offers/${offerId}/manage`, { description: "Babybett 70x140" }, headers);
+        if (edit.status !== 200 || edit.body.description !== "Babybett 70x140") throw new Error(`Status ${edit.status}`);
+
+        await request('PATCH', `/api/offers/${offerId}`, { status: 'picked_up' }, PIN_HEADER);
+        const withdraw = await request('DELETE', `/api/offers/${offerId}/manage`, null, headers);
+        if (withdraw.status !== 409) throw new Error(`Picked up offer should return 409, got ${withdraw.status}`);
+    });
+
+    await test('Offers API - Giver withdraws Offer', async () => {
+        const created = await requestMultipart('/api/offers', { name: "TestUser", description: "Stroller" }, [photo()]);
+        const res = await request('DELETE', `/api/offers/${created.body.id}/manage`, null, { 'x-offer-token': created.body.manageToken });
+        if (res.status !== 200) throw new Error(`Status ${res.status}`);
+        const list = await request('GET', '/api/offers');
+        if (list.body.some(o => o.id === created.body.id)) throw new Error('Offer not withdrawn');
+    });
+
     await test('Offers API - Delete Offer (With PIN)', async () => {
         const res = await request('DELETE', `/api/offers/${offerId}`, null, PIN_HEADER);
         if (res.status !== 200) throw new Error(`Status ${res.status}`);
     });
 
+    await test('Offers API - Deleting removes all Photo Variants', async () => {
+        for (const url of offerPhotos.flatMap(p => [p.url, p.thumbUrl])) {
+            const res = await request('GET', url);
+            if (res.status !== 404) throw new Error(`${url} still served (${res.status})`);
+        }
+    });
+
+    // --- NEWS ---
+    await test('News API - Post (No PIN)', async () => {
+        const res = await requestMultipart('/api/news', { text: 'Hello' }, []);
+        if (res.status !== 401) throw new Error(`Should return 401, got ${res.status}`);
+    });
+
+    let newsPost, pinnedPost;
+    await test('News API - Post with Photo (With PIN)', async () => {
+        const res = await requestMultipart('/api/news', { title: 'Bag is packed', text: 'Ready to go!\n<b>Finally</b>' }, [photo()], PIN_HEADER);
+        if (res.status !== 201) throw new Error(`Status ${res.status}: ${JSON.stringify(res.body)}`);
+        if (res.body.photos.length !== 1 || res.body.pinned !== false) throw new Error('Unexpected post');
+        if (res.body.text !== 'Ready to go!\n&lt;b&gt;Finally&lt;/b&gt;') throw new Error('Text not sanitized');
+        newsPost = res.body;
+
+        const empty = await requestMultipart('/api/news', { title: 'No text' }, [], PIN_HEADER);
+        if (empty.status !== 400 || empty.body.code !== 'newsTextRequired') throw new Error(`Empty post: ${empty.status}`);
+    });
+
+    await test('News API - Pinned Posts come first', async () => {
+        const res = await requestMultipart('/api/news', { text: 'Due date is getting close', pinned: 'true' }, [], PIN_HEADER);
+        if (res.status !== 201 || res.body.pinned !== true) throw new Error(`Status ${res.status}`);
+        pinnedPost = res.body;
+
+        const list = await request('GET', '/api/news');
+        if (list.body[0].id !== pinnedPost.id) throw new Error('Pinned post is not first');
+        const unpin = await request('PATCH', `/api/news/${pinnedPost.id}`, { pinned: false }, PIN_HEADER);
+        if (unpin.status !== 200 || unpin.body.pinned !== false) throw new Error('Unpinning failed');
+    });
+
+    await test('News API - Atom Feed', async () => {
+        const res = await request('GET', '/news.atom');
+        if (res.status !== 200 || !/application\/atom\+xml/.test(res.headers['content-type'])) throw new Error(`Status ${res.status}`);
+        if ((res.body.match(/<entry>/g) || []).length < 2) throw new Error('Entries missing');
+        if (!res.body.includes('&amp;lt;b&amp;gt;Finally') || !res.body.includes(newsPost.photos[0].thumbUrl)) throw new Error('Content not escaped or photo missing');
+    });
+
+    await test('News API - Delete removes Photos (With PIN)', async () => {
+        const noPin = await request('DELETE', `/api/news/${newsPost.id}`);
+        if (noPin.status !== 401) throw new Error(`Should return 401, got ${noPin.status}`);
+        const res = await request('DELETE', `/api/news/${newsPost.id}`, null, PIN_HEADER);
+        if (res.status !== 200) throw new Error(`Status ${res.status}`);
+        const file = await request('GET', newsPost.photos[0].url);
+        if (file.status !== 404) throw new Error('Photo still served');
+        await request('DELETE', `/api/news/${pinnedPost.id}`, null, PIN_HEADER);
+    });
+
+    // --- GUESTBOOK ---
+    let guestbookEntry;
+    await test('Guestbook API - Sign with Photo', async () => {
+        const res = await requestMultipart('/api/guestbook', { name: 'Aunt <Mia>', text: 'Congratulations!' }, [{ ...photo(), field: 'photo' }]);
+        if (res.status !== 201) throw new Error(`Status ${res.status}: ${JSON.stringify(res.body)}`);
+        if (res.body.name !== 'Aunt &lt;Mia&gt;' || !res.body.photo || !res.body.photo.thumbUrl) throw new Error('Unexpected entry');
+        guestbookEntry = res.body;
+
+        const missing = await requestMultipart('/api/guestbook', { name: 'Uncle Tom' }, []);
+        if (missing.status !== 400 || missing.body.code !== 'missingFields') throw new Error(`Missing text: ${missing.status}`);
+        const long = await requestMultipart('/api/guestbook', { name: 'Uncle Tom', text: 'x'.repeat(2001) }, []);
+        if (long.status !== 400 || long.body.code !== 'messageTooLong') throw new Error(`Long text: ${long.status}`);
+    });
+
+    await test('Guestbook API - Reactions are toggled once per Visitor', async () => {
+        const visitor = { 'x-forwarded-for': '198.51.100.90' };
+        const react = (headers) => request('POST', `/api/guestbook/${guestbookEntry.id}/react`, { emoji: '🎉' }, headers);
+
+        const first = await react(visitor);
+        if (first.status !== 200 || first.body.reactions['🎉'] !== 1) throw new Error(`First reaction: ${JSON.stringify(first.body)}`);
+        if (!first.body.myReactions.includes('🎉') || first.body.reactedIPs) throw new Error('Own reactions missing or voters leaked');
+        const other = await react({ 'x-forwarded-for': '198.51.100.91' });
+        if (other.body.reactions['🎉'] !== 2) throw new Error('Second visitor not counted');
+        const again = await react(visitor);
+        if (again.body.reactions['🎉'] !== 1 || again.body.myReactions.length) throw new Error('Reaction not removed on second click');
+
+        const invalid = await request('POST', `/api/guestbook/${guestbookEntry.id}/react`, { emoji: '💩' }, visitor);
+        if (invalid.status !== 400 || invalid.body.code !== 'invalidReaction') throw new Error(`Invalid emoji: ${invalid.status}`);
+        const missing = await request('POST', '/api/guestbook/nope/react', { emoji: '🎉' }, visitor);
+        if (missing.status !== 404) throw new Error(`Unknown entry: ${missing.status}`);
+    });
+
+    await test('Guestbook API - Export (With PIN)', async () => {
+        const noPin = await request('GET', '/api/guestbook/export');
+        if (noPin.status !== 401) throw new Error(`Should return 401, got ${noPin.status}`);
+        const res = await request('GET', '/api/guestbook/export?format=json', null, PIN_HEADER);
+        const row = res.body.find(r => r.text === 'Congratulations!');
+        if (!row || row.name !== 'Aunt <Mia>' || row.reactions !== '🎉 1' || !/^http.*\/uploads\//.test(row.photo)) throw new Error(`Unexpected row: ${JSON.stringify(row)}`);
+        const csv = await request('GET', '/api/guestbook/export', null, PIN_HEADER);
+        if (!/text\/csv/.test(csv.headers['content-type']) || !csv.body.startsWith('name,text,reactions,photo,timestamp')) throw new Error('Unexpected CSV');
+    });
+
+    await test('Guestbook API - Delete removes Photo (With PIN)', async () => {
+        const noPin = await request('DELETE', `/api/guestbook/${guestbookEntry.id}`);
+        if (noPin.status !== 401) throw new Error(`Should return 401, got ${noPin.status}`);
+        const res = await request('DELETE', `/api/guestbook/${guestbookEntry.id}`, null, PIN_HEADER);
+        if (res.status !== 200) throw new Error(`Status ${res.status}`);
+        const file = await request('GET', guestbookEntry.photo.url);
+        if (file.status !== 404) throw new Error('Photo still served');
+    });
+
+
+    // --- MODERATION (needs BLOCKLIST on the server and TEST_BLOCKED_WORD) ---
+    if (BLOCKED_WORD) {
+        let flaggedId;
+        await test('Moderation API - Blocklisted Name is held back', async () => {
+            const res = await request('POST', '/api/names', { name: `Baby ${BLOCKED_WORD.toUpperCase()}` });
+            if (res.status !== 201 || res.body.moderation !== 'pending') throw new Error('Name should be pending');
+            flaggedId = res.body.id;
+
+            const list = await request('GET', '/api/names');
+            if (list.body.some(n => n.id === flaggedId)) throw new Error('Pending name is public');
+            const vote = await request('POST', '/api/vote', { id: flaggedId, type: 'up' });
+            if (vote.status !== 404) throw new Error(`Voting on a pending name should return 404, got ${vote.status}`);
+        });
+
+        await test('Moderation API - Unknown Collections are rejected', async () => {
+            for (const collection of ['wishlist', 'constructor', 'toString']) {
+                const res = await request('POST', `/api/moderation/${collection}/1/approve`, null, PIN_HEADER);
+                if (res.status !== 400 || res.body.code !== 'invalidCollection') throw new Error(`${collection}: status ${res.status}`);
+                const reject = await request('POST', `/api/moderation/${collection}/1/reject`, null, PIN_HEADER);
+                if (reject.status !== 400) throw new Error(`${collection} reject: status ${reject.status}`);
+            }
+        });
+
+        await test('Moderation API - Review Queue (With PIN)', async () => {
+            const denied = await request('GET', '/api/moderation');
+            if (denied.status !== 401) throw new Error(`Should return 401, got ${denied.status}`);
+            const res = await request('GET', '/api/moderation', null, PIN_HEADER);
+            const item = res.body.names.find(n => n.id === flaggedId);
+            if (!item || !item.flaggedWords.includes(BLOCKED_WORD.toLowerCase())) throw new Error('Flagged name missing in queue');
+            if (item.votedIPs !== undefined) throw new Error('Queue leaks voters');
+        });
+
+        await test('Moderation API - Approve publishes, Reject deletes', async () => {
+            const approved = await request('POST', `/api/moderation/names/${flaggedId}/approve`, null, PIN_HEADER);
+            if (approved.status !== 200) throw new Error(`Status ${approved.status}`);
+            const list = await request('GET', '/api/names');
+            if (!list.body.some(n => n.id === flaggedId)) throw new Error('Approved name not public');
+            await request('DELETE', `/api/names/${flaggedId}`, null, PIN_HEADER);
+
+            const bet = await request('POST', '/api/bets', { name: `${BLOCKED_WORD} guess`, date: "2026-08-20", time: "12:00", weight: 3500, size: 50 });
+            if (bet.body.moderation !== 'pending') throw new Error('Bet should be pending');
+            const rejected = await request('POST', `/api/moderation/bets/${bet.body.id}/reject`, null, PIN_HEADER);
+            if (rejected.status !== 200) throw new Error(`Status ${rejected.status}`);
+            const again = await request('POST', `/api/moderation/bets/${bet.body.id}/reject`, null, PIN_HEADER);
+            if (again.status !== 404) throw new Error(`Should return 404, got ${again.status}`);
+        });
+
+        await test('Moderation API - Flagged Details are not merged into a published Name', async () => {
+            const created = await request('POST', '/api/names', { name: "Zora" });
+            const res = await request('POST', '/api/names', { name: "zora", meaning: `${BLOCKED_WORD} stuff` });
+            if (res.status !== 400 || res.body.code !== 'blockedWords') throw new Error(`Should return 400, got ${res.status}`);
+            const list = await request('GET', '/api/names');
+            const zora = list.body.find(n => n.id === created.body.id);
+            if (!zora || zora.meaning) throw new Error(`Flagged meaning was published: ${zora && zora.meaning}`);
+            await request('DELETE', `/api/names/${created.body.id}`, null, PIN_HEADER);
+        });
+
+        await test('Moderation API - Giver Edits go back to Review only when flagged', async () => {
+            const created = await requestMultipart('/api/offers', { name: "TestUser", description: "High chair" }, [photo()]);
+            const headers = { 'x-offer-token': created.body.manageToken };
+            const clean = await request('PATCH', `/api/offers/${created.body.id}/manage`, { description: "High chair, wooden" }, headers);
+            if (clean.body.moderation !== 'approved') throw new Error('Clean edit went back to review');
+            const flagged = await request('PATCH', `/api/offers/${created.body.id}/manage`, { description: `${BLOCKED_WORD} chair` }, headers);
+            if (flagged.body.moderation !== 'pending') throw new Error('Flagged edit was published');
+            const list = await request('GET', '/api/offers');
+            if (list.body.some(o => o.id === created.body.id)) throw new Error('Flagged offer is still public');
+            await request('DELETE', `/api/offers/${created.body.id}`, null, PIN_HEADER);
+        });
+    } else {
+        console.log('Skipping moderation checks (set TEST_BLOCKED_WORD to a BLOCKLIST word of the server)');
+    }
+
+
+    // --- ADMIN BULK DELETE ---
+    await test('Admin API - Bulk Delete', async () => {
+        const a = await request('POST', '/api/names', { name: "BulkA" });
+        const b = await request('POST', '/api/names', { name: "BulkB" });
+        const denied = await request('POST', '/api/bulk-delete', { collection: 'names', ids: [a.body.id] });
+        if (denied.status !== 401) throw new Error(`Should return 401, got ${denied.status}`);
+        const res = await request('POST', '/api/bulk-delete', { collection: 'names', ids: [a.body.id, b.body.id] }, PIN_HEADER);
+        if (res.status !== 200 || res.body.deleted !== 2) throw new Error(`Status ${res.status}, deleted ${res.body.deleted}`);
+    });
+
+    await test('Admin API - Bulk Delete rejects unknown Collections', async () => {
+        for (const collection of ['guests', 'constructor', 'toString', '__proto__']) {
+            const res = await request('POST', '/api/bulk-delete', { collection, ids: ['1'] }, PIN_HEADER);
+            if (res.status !== 400 || res.body.code !== 'invalidCollection') throw new Error(`${collection}: status ${res.status}`);
+        }
+    });
+
+
+    // --- GUESTS (INVITE LINKS) ---
+    let guestA, guestB, guestNameId, guestWishId, guestBetId;
+    const asGuest = (guest) => ({ 'x-guest-token': guest.token });
+
+    await test('Guests API - Create Invite (No PIN)', async () => {
+        const res = await request('POST', '/api/guests', { name: "Aunt Emma" });
+        if (res.status !== 401) throw new Error(`Should return 401, got ${res.status}`);
+    });
+
+    await test('Guests API - Create Invites (With PIN)', async () => {
+        const resA = await request('POST', '/api/guests', { name: "Aunt Emma" }, PIN_HEADER);
+        const resB = await request('POST', '/api/guests', { name: "Uncle Ben" }, PIN_HEADER);
+        if (resA.status !== 201 || resB.status !== 201) throw new Error(`Status ${resA.status}/${resB.status}`);
+        if (!resA.body.token || !resA.body.link.includes(resA.body.token)) throw new Error('Token or link missing');
+        guestA = resA.body;
+        guestB = resB.body;
+    });
+
+    await test('Guests API - Me', async () => {
+        const res = await request('GET', '/api/me', null, asGuest(guestA));
+        if (res.status !== 200) throw new Error(`Status ${res.status}`);
+        if (!res.body.guest || res.body.guest.name !== "Aunt Emma") throw new Error('Guest not recognized');
+    });
+
+    await test('Guests API - Two Guests behind one IP can both vote', async () => {
+        const add = await request('POST', '/api/names', { name: "GuestBaby" }, asGuest(guestA));
+        guestNameId = add.body.id;
+        await request('POST', '/api/vote', { id: guestNameId, type: 'up' }, asGuest(guestA));
+        const res = await request('POST', '/api/vote', { id: guestNameId, type: 'up' }, asGuest(guestB));
+        if (res.status !== 200) throw new Error(`Status ${res.status}`);
+        if (res.body.votes !== 2) throw new Error(`Expected 2 votes, got ${res.body.votes}`);
+        if (res.body.myVote !== 'up') throw new Error('myVote missing');
+        if (res.body.votedIPs || res.body.votedGuests) throw new Error('Voters leaked in response');
+    });
+
+    await test('Guests API - One Bet per Guest', async () => {
+        const bet = { date: "2026-08-20", time: "12:00", weight: 3500, size: 50 };
+        const first = await request('POST', '/api/bets', bet, asGuest(guestA));
+        if (first.status !== 201) throw new Error(`Status ${first.status}`);
+        if (first.body.name !== "Aunt Emma") throw new Error('Guest name not used for bet');
+        guestBetId = first.body.id;
+        const second = await request('POST', '/api/bets', bet, asGuest(guestA));
+        if (second.status !== 409) throw new Error(`Should return 409, got ${second.status}`);
+    });
+
+    await test('Guests API - Reservation can only be released by its Guest', async () => {
+        const add = await request('POST', '/api/wishlist', { name: "GuestItem", link: "http://test.com" }, PIN_HEADER);
+        guestWishId = add.body.id;
+        const reserve = await request('POST', '/api/wishlist/reserve', { id: guestWishId }, asGuest(guestA));
+        if (!reserve.body.reserved || !reserve.body.reservedByMe) throw new Error('Not reserved by guest');
+        const steal = await request('POST', '/api/wishlist/reserve', { id: guestWishId }, asGuest(guestB));
+        if (steal.status !== 403) throw new Error(`Should return 403, got ${steal.status}`);
+    });
+
+    await test('Guests API - Admin sees who reserved what', async () => {
+        const res = await request('GET', '/api/guests', null, PIN_HEADER);
+        const guest = res.body.find(g => g.id === guestA.id);
+        if (!guest || !guest.reservations.some(r => r.id === guestWishId)) throw new Error('Reservation missing');
+        if (!guest.hasBet || guest.votes !== 1) throw new Error('Activity missing');
+    });
+
+    await test('Guests API - Revoked Invite is rejected', async () => {
+        const res = await request('DELETE', `/api/guests/${guestB.id}`, null, PIN_HEADER);
+        if (res.status !== 200) throw new Error(`Status ${res.status}`);
+        const vote = await request('POST', '/api/vote', { id: guestNameId, type: 'down' }, asGuest(guestB));
+        if (vote.status !== 403) throw new Error(`Should return 403, got ${vote.status}`);
+    });
+
+    await test('Guests API - Cleanup', async () => {
+        await request('DELETE', `/api/names/${guestNameId}`, null, PIN_HEADER);
+        await request('DELETE', `/api/wishlist/${guestWishId}`, null, PIN_HEADER);
+        await request('DELETE', `/api/bets/${guestBetId}`, null, PIN_HEADER);
+        await request('DELETE', `/api/guests/${guestA.id}`, null, PIN_HEADER);
+    });
+
+    // --- VISITS & CALENDAR ---
+    let slotId, visitToken, bookingId, appointmentId, visitor;
+    const nextYear = `${new Date().getFullYear() + 1}-05-04`;
+
+    await test('Visits API - Create Slot (No PIN)', async () => {
+        const res = await request('POST', '/api/visits', { date: nextYear, start: '14:00', end: '16:00', capacity: 3 });
+        if (res.status !== 401) throw new Error(`Should return 401, got ${res.status}`);
+    });
+
+    await test('Visits API - Create Slot (With PIN)', async () => {
+        const invalid = await request('POST', '/api/visits', { date: nextYear, start: '16:00', end: '14:00', capacity: 3 }, PIN_HEADER);
+        if (invalid.body.code !== 'visitEndBeforeStart') throw new Error(`End before start: ${invalid.body.code}`);
+        const impossible = await request('POST', '/api/visits', { date: `${new Date().getFullYear() + 1}-02-30`, start: '14:00', end: '16:00', capacity: 3 }, PIN_HEADER);
+        if (impossible.body.code !== 'invalidDateTime') throw new Error(`February 30th: ${impossible.body.code}`);
+        const res = await request('POST', '/api/visits', { date: nextYear, start: '14:00', end: '16:00', capacity: 3, note: 'Please no perfume' }, PIN_HEADER);
+        if (res.status !== 201 || res.body.free !== 3) throw new Error(`Status ${res.status}: ${JSON.stringify(res.body)}`);
+        slotId = res.body.id;
+    });
+
+    await test('Visits API - Book within the Capacity', async () => {
+        const res = await request('POST', `/api/visits/${slotId}/book`, { name: 'Visiting Vera', people: 2 });
+        if (res.status !== 201 || res.body.free !== 1 || !res.body.cancelToken) throw new Error(`Status ${res.status}: ${JSON.stringify(res.body)}`);
+        if (!res.body.cancelLink.includes(`cancelVisit=${slotId}`)) throw new Error(`Cancel link: ${res.body.cancelLink}`);
+        visitToken = res.body.cancelToken;
+        bookingId = res.body.booking.id;
+
+        const full = await request('POST', `/api/visits/${slotId}/book`, { name: 'Too Many', people: 2 });
+        if (full.status !== 409 || full.body.code !== 'visitFull') throw new Error(`Over capacity: ${full.status} ${full.body.code}`);
+    });
+
+    await test('Visits API - Names only for the Admin', async () => {
+        const list = await request('GET', '/api/visits');
+        if (JSON.stringify(list.body).includes('Visiting Vera')) throw new Error('Visitor names are public');
+        const slot = list.body.find(s => s.id === slotId);
+        if (slot.booked !== 2 || !slot.bookingIds.includes(bookingId)) throw new Error(JSON.stringify(slot));
+
+        const admin = await request('GET', '/api/visits', null, PIN_HEADER);
+        const booking = admin.body.find(s => s.id === slotId).bookings[0];
+        if (booking.name !== 'Visiting Vera' || booking.tokenHash) throw new Error(JSON.stringify(booking));
+    });
+
+    await test('Visits API - Capacity cannot drop below the Bookings', async () => {
+        const res = await request('PATCH', `/api/visits/${slotId}`, { capacity: 1 }, PIN_HEADER);
+        if (res.status !== 409 || res.body.code !== 'capacityBelowBookings') throw new Error(`${res.status} ${res.body.code}`);
+    });
+
+    await test('Visits API - Past Slots cannot be booked', async () => {
+        const past = await request('POST', '/api/visits', { date: '2020-01-01', start: '10:00', end: '11:00', capacity: 2 }, PIN_HEADER);
+        const res = await request('POST', `/api/visits/${past.body.id}/book`, { name: 'Late' });
+        if (res.status !== 409 || res.body.code !== 'visitOver') throw new Error(`${res.status} ${res.body.code}`);
+        await request('DELETE', `/api/visits/${past.body.id}`, null, PIN_HEADER);
+    });
+
+    await test('Visits API - Invited Guests book once', async () => {
+        visitor = (await request('POST', '/api/guests', { name: 'Cousin Clara' }, PIN_HEADER)).body;
+        const first = await request('POST', `/api/visits/${slotId}/book`, {}, asGuest(visitor));
+        if (first.status !== 201 || first.body.booking.name !== 'Cousin Clara') throw new Error(`Status ${first.status}: ${JSON.stringify(first.body)}`);
+        const full = await request('POST', `/api/visits/${slotId}/book`, { name: 'Latecomer' });
+        if (full.status !== 409 || full.body.code !== 'visitFull') throw new Error(`Full slot: ${full.status} ${full.body.code}`);
+        await request('PATCH', `/api/visits/${slotId}`, { capacity: 5 }, PIN_HEADER);
+        const twice = await request('POST', `/api/visits/${slotId}/book`, {}, asGuest(visitor));
+        if (twice.status !== 409 || twice.body.code !== 'alreadyBooked') throw new Error(`Second booking: ${twice.status} ${twice.body.code}`);
+    });
+
+    await test('Appointments API - Create (With PIN)', async () => {
+        const anon = await request('POST', '/api/appointments', { title: 'Christening', date: nextYear });
+        if (anon.status !== 401) throw new Error(`Should return 401, got ${anon.status}`);
+        const res = await request('POST', '/api/appointments', { title: 'Christening, with cake', date: nextYear, start: '11:00', location: 'St. Mary' }, PIN_HEADER);
+        if (res.status !== 201 || res.body.end !== null) throw new Error(`Status ${res.status}: ${JSON.stringify(res.body)}`);
+        appointmentId = res.body.id;
+        const list = await request('GET', '/api/appointments');
+        if (!list.body.some(a => a.id === appointmentId)) throw new Error('Date not listed');
+    });
+
+    await test('Calendar Feed - Due Date, Dates and own Visits', async () => {
+        const config = await request('GET', '/api/config');
+        const res = await requestBinary('GET', `/calendar.ics?tokens=${visitToken}`);
+        const ics = res.body.toString('utf8');
+        if (res.status !== 200 || !res.headers['content-type'].startsWith('text/calendar')) throw new Error(`Status ${res.status}`);
+        if (!ics.startsWith('BEGIN:VCALENDAR\r\n') || !ics.endsWith('END:VCALENDAR\r\n')) throw new Error('Not a calendar');
+        if (!ics.includes(`DTSTART;VALUE=DATE:${config.body.dueDate.slice(0, 10).replace(/-/g, '')}`)) throw new Error('Due date missing');
+        if (!ics.includes('SUMMARY:Christening\\, with cake')) throw new Error('Date missing or not escaped');
+        if (!ics.includes(`UID:visit-${bookingId}@`) || !ics.includes(`DTSTART:${nextYear.replace(/-/g, '')}T140000`)) throw new Error('Own visit missing');
+        if (ics.split('\r\n').some(line => Buffer.byteLength(line) > 75)) throw new Error('Lines are not folded');
+
+        const anonymous = (await requestBinary('GET', '/calendar.ics')).body.toString('utf8');
+        if (anonymous.includes('UID:visit-')) throw new Error('Visits of others are listed');
+        const guest = (await requestBinary('GET', `/calendar.ics?guest=${visitor.token}`)).body.toString('utf8');
+        if ((guest.match(/UID:visit-/g) || []).length !== 1) throw new Error('Visit of the invited guest missing');
+    });
+
+    await test('Calendar Feed - Limits the Tokens and the Requests', async () => {
+        const tokens = Array.from({ length: 21 }, (_, i) => `token${i}`).join(',');
+        const res = await request('GET', `/calendar.ics?tokens=${tokens}`);
+        if (res.status !== 400 || res.body.code !== 'tooManyCalendarTokens') throw new Error(`Should return 400, got ${res.status}`);
+        const feed = await requestBinary('GET', '/calendar.ics');
+        if (!feed.headers['ratelimit-limit'] && !feed.headers['x-ratelimit-limit']) throw new Error('Feed is not rate limited');
+    });
+
+    await test('Visits API - Cancel with the Token', async () => {
+        const wrong = await request('POST', `/api/visits/${slotId}/cancel`, { bookingId, token: 'nope' });
+        if (wrong.status !== 403) throw new Error(`Wrong token should return 403, got ${wrong.status}`);
+        const res = await request('POST', `/api/visits/${slotId}/cancel`, { token: visitToken });
+        if (res.status !== 200 || res.body.bookingIds.includes(bookingId)) throw new Error(`Status ${res.status}: ${JSON.stringify(res.body)}`);
+        const again = await request('POST', `/api/visits/${slotId}/cancel`, { token: visitToken });
+        if (again.status !== 404) throw new Error(`Token should be used up, got ${again.status}`);
+
+        await request('DELETE', `/api/appointments/${appointmentId}`, null, PIN_HEADER);
+        await request('DELETE', `/api/guests/${visitor.id}`, null, PIN_HEADER);
+        const deleted = await request('DELETE', `/api/visits/${slotId}`, null, PIN_HEADER);
+        if (deleted.status !== 200) throw new Error(`Delete: ${deleted.status}`);
+    });
+
+    // --- LANGUAGES ---
+    await test('i18n - Config lists the Languages', async () => {
+        const res = await request('GET', '/api/config');
+        if (!res.body.language || !Array.isArray(res.body.languages)) throw new Error('Language missing in config');
+        if (!res.body.languages.includes('en') || !res.body.languages.includes('de')) throw new Error(`Languages: ${res.body.languages}`);
+    });
+
+    await test('i18n - Catalogues are served', async () => {
+        const res = await request('GET', '/locales/de.json');
+        if (res.status !== 200 || res.body['meta.locale'] !== 'de-DE') throw new Error(`Status ${res.status}`);
+    });
+
+    await test('i18n - Errors carry a Code', async () => {
+        const res = await request('POST', '/api/vote', { id: 'does-not-exist', type: 'up' }, { cookie: 'lang=en' });
+        if (res.status !== 404 || res.body.code !== 'nameNotFound') throw new Error(`Got ${res.status} ${res.body.code}`);
+        if (res.body.error !== 'Name not found') throw new Error(`Message: ${res.body.error}`);
+    });
+
+    await test('i18n - Errors follow the lang Cookie', async () => {
+        const res = await request('POST', '/api/vote', { id: 'does-not-exist', type: 'up' }, { cookie: 'lang=de' });
+        if (res.status !== 404 || res.body.error !== 'Name nicht gefunden') throw new Error(`Message: ${res.body.error}`);
+        const data = 'name,link\r\nGood,http://test.com\r\nBad,ftp://test.com\r\n';
+        const nested = await request('POST', '/api/wishlist/import', { format: 'csv', data }, { ...PIN_HEADER, cookie: 'lang=de' });
+        if (nested.status !== 400 || !/^Zeile 2: Ungültiges Link-Protokoll/.test(nested.body.error)) throw new Error(`Message: ${nested.body.error}`);
+    });
+
+    await test('i18n - Malformed foreign Cookie still serves the Page and the API', async () => {
+        const page = await requestBinary('GET', '/', null, { cookie: 'foo=100%; lang=de' });
+        if (page.status !== 200) throw new Error(`Page status ${page.status}`);
+        const res = await request('POST', '/api/vote', { id: 'does-not-exist', type: 'up' }, { cookie: 'foo=100%; lang=de' });
+        if (res.status !== 404 || res.body.error !== 'Name nicht gefunden') throw new Error(`Status ${res.status}: ${res.body.error}`);
+    });
+
+    // --- INSTALLABLE APP ---
+    await test('PWA - Manifest', async () => {
+        const res = await requestBinary('GET', '/manifest.webmanifest');
+        if (res.status !== 200 || !res.headers['content-type'].startsWith('application/manifest+json')) throw new Error(`Status ${res.status}`);
+        const manifest = JSON.parse(res.body.toString('utf8'));
+        if (!manifest.name || manifest.start_url !== '/' || manifest.display !== 'standalone') throw new Error('Manifest incomplete');
+        if (!manifest.icons.some(i => i.sizes === '512x512' && i.purpose === 'maskable')) throw new Error('Maskable icon missing');
+    });
+
+    await test('PWA - Icons are rendered', async () => {
+        const res = await requestBinary('GET', '/icons/icon-192.png');
+        if (res.status !== 200 || res.headers['content-type'] !== 'image/png') throw new Error(`Status ${res.status}`);
+        if (res.body.readUInt32BE(16) !== 192) throw new Error('Wrong icon size');
+        const other = await requestBinary('GET', '/icons/icon-17.png');
+        if (other.status !== 404) throw new Error(`Should return 404, got ${other.status}`);
+    });
+
+    await test('PWA - Service Worker is never cached', async () => {
+        const res = await requestBinary('GET', '/sw.js');
+        if (res.status !== 200 || !/no-cache/.test(res.headers['cache-control'])) throw new Error(`Cache-Control: ${res.headers['cache-control']}`);
+        if (!res.body.toString('utf8').includes('api/wishlist')) throw new Error('Data endpoints not cached');
+    });
+
+    await test('PWA - Admin Views of the Lists are not cacheable', async () => {
+        const admin = await request('GET', '/api/offers', null, PIN_HEADER);
+        if (!/no-store/.test(admin.headers['cache-control'] || '')) throw new Error(`Admin Cache-Control: ${admin.headers['cache-control']}`);
+        const visitor = await request('GET', '/api/offers');
+        if (/no-store/.test(visitor.headers['cache-control'] || '')) throw new Error('Public list is not cacheable offline');
+    });
+
+    // --- NOTIFICATIONS (needs the stand-ins, see SMTP_PORT) ---
+    if (SMTP_PORT) {
+        const smtp = await startSmtpStandIn(SMTP_PORT);
+        const hook = await startWebhookStandIn();
+        let secret;
+
+        await test('Notifications API - Settings (With PIN)', async () => {
+            const noPin = await request('GET', '/api/notifications');
+            if (noPin.status !== 401) throw new Error(`Should return 401, got ${noPin.status}`);
+
+            const save = (settings) => request('PUT', '/api/notifications', settings, PIN_HEADER);
+            const badEmail = await save({ email: { recipients: ['not-an-email'] } });
+            if (badEmail.status !== 400 || badEmail.body.code !== 'invalidEmail') throw new Error(`Invalid email: ${badEmail.body.code}`);
+            const badEvent = await save({ email: { recipients: [], events: ['baby.born'] } });
+            if (badEvent.body.code !== 'unknownEventType') throw new Error(`Unknown event: ${badEvent.body.code}`);
+            const badUrl = await save({ webhooks: [{ url: 'ftp://example.com', events: [] }] });
+            if (badUrl.body.code !== 'invalidWebhookUrl') throw new Error(`Invalid URL: ${badUrl.body.code}`);
+
+            const res = await save({
+                email: { recipients: ['parents@example.com'], events: ['name.suggested'], digest: false },
+                webhooks: [{ url: hook.url, events: ['name.suggested'] }]
+            });
+            if (res.status !== 200 || !res.body.smtp) throw new Error(`Status ${res.status}: ${JSON.stringify(res.body)}`);
+            secret = res.body.settings.webhooks[0].secret;
+            if (!/^[0-9a-f]{48}$/.test(secret)) throw new Error('Webhook secret missing');
+
+            // Saving again keeps the secret of a known webhook
+            const again = await save({ ...res.body.settings, webhooks: [{ id: res.body.settings.webhooks[0].id, url: hook.url, events: ['name.suggested'] }] });
+            if (again.body.settings.webhooks[0].secret !== secret) throw new Error('Secret changed on save');
+        });
+
+        await test('Notifications API - Webhook is signed and retried', async () => {
+            hook.statuses.push(500);
+            const created = await request('POST', '/api/names', { name: 'Webhookia' });
+            if (created.status !== 201) throw new Error(`Status ${created.status}`);
+
+            await waitForCount(hook.requests, 2);
+            const { headers, body } = hook.requests[1];
+            const expected = crypto.createHmac('sha256', secret).update(`${headers['x-dashboard-timestamp']}.${body}`).digest('hex');
+            if (headers['x-dashboard-signature'] !== `sha256=${expected}`) throw new Error('Invalid signature');
+            const event = JSON.parse(body);
+            if (headers['x-dashboard-event'] !== 'name.suggested' || event.data.name !== 'Webhookia') throw new Error(`Unexpected event: ${body}`);
+            if (hook.requests[0].headers['x-dashboard-delivery'] !== event.id) throw new Error('Retry is a different delivery');
+        });
+
+        await test('Notifications API - Email over SMTP', async () => {
+            await waitForCount(smtp.messages, 1);
+            const [mail] = smtp.messages;
+            if (mail.recipients[0] !== 'parents@example.com' || !mailText(mail).includes('Webhookia')) throw new Error(`Unexpected mail: ${mailText(mail)}`);
+        });
+
+        await test('Notifications API - Daily Digest', async () => {
+            const settings = { email: { recipients: ['parents@example.com'], events: ['name.suggested', 'guestbook.signed'], digest: true }, webhooks: [] };
+            await request('PUT', '/api/notifications', settings, PIN_HEADER);
+            await request('POST', '/api/names', { name: 'Digestina' });
+            await requestMultipart('/api/guestbook', { name: 'Grandma', text: 'So happy!' }, []);
+            await new Promise(r => setTimeout(r, 300));
+            if (smtp.messages.length !== 1) throw new Error('Digest events were mailed one by one');
+
+            const res = await request('POST', '/api/notifications/digest', null, PIN_HEADER);
+            if (res.status !== 200 || res.body.sent !== 2) throw new Error(`Digest: ${JSON.stringify(res.body)}`);
+            await waitForCount(smtp.messages, 2);
+            const text = mailText(smtp.messages[1]);
+            if (!text.includes('Digestina') || !text.includes('So happy!')) throw new Error(`Unexpected digest: ${text}`);
+
+            await request('PUT', '/api/notifications', { email: { recipients: [] }, webhooks: [] }, PIN_HEADER);
+        });
+
+        smtp.close();
+        hook.close();
+    }
+
+    // --- HOSTED DASHBOARDS (needs SUPER_ADMIN_PIN on the server and TEST_SUPER_ADMIN_PIN) ---
+    await test('Config API - Lists the enabled Tabs', async () => {
+        const res = await request('GET', '/api/config');
+        if (!Array.isArray(res.body.tabs) || !res.body.tabs.includes('names')) throw new Error(`Tabs: ${JSON.stringify(res.body.tabs)}`);
+    });
+
+    if (SUPER_PIN) {
+        const SUPER_HEADER = { 'x-super-admin-pin': SUPER_PIN };
+        const slug = `check-${Date.now().toString(36)}`;
+        const hostedPin = 'hosted-pin';
+
+        await test('Super-Admin API - Requires the Super-Admin PIN', async () => {
+            const anon = await request('GET', '/api/super/dashboards');
+            if (anon.status !== 401) throw new Error(`Should return 401, got ${anon.status}`);
+            const parents = await request('GET', '/api/super/dashboards', null, PIN_HEADER);
+            if (parents.status !== 401) throw new Error(`Admin PIN should not work, got ${parents.status}`);
+        });
+
+        await test('Super-Admin API - Create a Dashboard', async () => {
+            const res = await request('POST', '/api/super/dashboards', {
+                slug, title: 'Hosted Check', dueDate: '2027-03-01', adminPin: hostedPin, tabs: ['wishlist', 'names']
+            }, SUPER_HEADER);
+            if (res.status !== 201) throw new Error(`Status ${res.status}: ${JSON.stringify(res.body)}`);
+            if (res.body.url !== `/${slug}/` || res.body.adminPinHash || res.body.tabs.join() !== 'names,wishlist') throw new Error(JSON.stringify(res.body));
+
+            const list = await request('GET', '/api/super/dashboards', null, SUPER_HEADER);
+            if (!list.body.some(d => d.slug === slug)) throw new Error('Dashboard not listed');
+        });
+
+        await test('Super-Admin API - Rejects taken and invalid Slugs', async () => {
+            const taken = await request('POST', '/api/super/dashboards', { slug, title: 'Again', dueDate: '2027-03-01', adminPin: hostedPin }, SUPER_HEADER);
+            if (taken.status !== 409 || taken.body.code !== 'slugTaken') throw new Error(`Taken: ${taken.status} ${taken.body.code}`);
+            const reserved = await request('POST', '/api/super/dashboards', { slug: 'api', title: 'Api', dueDate: '2027-03-01', adminPin: hostedPin }, SUPER_HEADER);
+            if (reserved.body.code !== 'invalidSlug') throw new Error(`Reserved slug: ${reserved.body.code}`);
+            const shortPin = await request('POST', '/api/super/dashboards', { slug: `${slug}-x`, title: 'Pin', dueDate: '2027-03-01', adminPin: '1' }, SUPER_HEADER);
+            if (shortPin.body.code !== 'pinTooShort') throw new Error(`Short PIN: ${shortPin.body.code}`);
+        });
+
+        await test('Hosted Dashboard - Redirects to the trailing Slash', async () => {
+            const res = await requestBinary('GET', `/${slug}?guest=abc`);
+            if (res.status !== 302 || res.headers.location !== `/${slug}/?guest=abc`) throw new Error(`${res.status} ${res.headers.location}`);
+        });
+
+        await test('Hosted Dashboard - Own Config and isolated Data', async () => {
+            const config = await request('GET', `/${slug}/api/config`);
+            if (config.body.appTitle !== 'Hosted Check' || config.body.tabs.join() !== 'names,wishlist') throw new Error(JSON.stringify(config.body));
+
+            const created = await request('POST', `/${slug}/api/names`, { name: 'OnlyHosted', gender: 'girl' });
+            if (created.status !== 200 && created.status !== 201) throw new Error(`Status ${created.status}: ${JSON.stringify(created.body)}`);
+            const hostedNames = await request('GET', `/${slug}/api/names`);
+            if (!hostedNames.body.some(n => n.name === 'OnlyHosted')) throw new Error('Name missing on the hosted dashboard');
+            const rootNames = await request('GET', '/api/names');
+            if (rootNames.body.some(n => n.name === 'OnlyHosted')) throw new Error('Name leaked to the dashboard at /');
+        });
+
+        await test('Hosted Dashboard - Switched-off Tabs return 404', async () => {
+            const res = await request('GET', `/${slug}/api/bets`);
+            if (res.status !== 404 || res.body.code !== 'tabDisabled') throw new Error(`${res.status} ${res.body.code}`);
+        });
+
+        await test('Hosted Dashboard - Admin PIN and Session apply to one Dashboard only', async () => {
+            const rootPin = await request('GET', `/${slug}/api/audit`, null, PIN_HEADER);
+            if (rootPin.status !== 401) throw new Error(`PIN of / should not work, got ${rootPin.status}`);
+            const ownPin = await request('GET', `/${slug}/api/audit`, null, { 'x-admin-pin': hostedPin });
+            if (ownPin.status !== 200) throw new Error(`Own PIN: ${ownPin.status}`);
+            const atRoot = await request('GET', '/api/audit', null, { 'x-admin-pin': hostedPin });
+            if (atRoot.status !== 401) throw new Error(`Hosted PIN should not work at /, got ${atRoot.status}`);
+
+            const login = await request('POST', `/${slug}/api/login`, { pin: hostedPin });
+            const cookie = (login.headers['set-cookie'] || []).find(c => c.startsWith(`admin_session_${slug}=`));
+            if (!cookie || !cookie.includes(`Path=/${slug}/`)) throw new Error(`Cookie: ${login.headers['set-cookie']}`);
+        });
+
+        await test('Super-Admin API - Changes apply immediately', async () => {
+            const res = await request('PATCH', `/api/super/dashboards/${slug}`, { title: 'Renamed', tabs: ['bets'] }, SUPER_HEADER);
+            if (res.status !== 200) throw new Error(`Status ${res.status}: ${JSON.stringify(res.body)}`);
+            const config = await request('GET', `/${slug}/api/config`);
+            if (config.body.appTitle !== 'Renamed') throw new Error(`Title: ${config.body.appTitle}`);
+            const bets = await request('GET', `/${slug}/api/bets`);
+            if (bets.status !== 200) throw new Error(`Enabled tab: ${bets.status}`);
+            const names = await request('GET', `/${slug}/api/names`);
+            if (names.body.code !== 'tabDisabled') throw new Error(`Disabled tab: ${names.status}`);
+        });
+
+        await test('Super-Admin API - A new Admin PIN ends existing Sessions', async () => {
+            const login = await request('POST', `/${slug}/api/login`, { pin: hostedPin });
+            const cookie = (login.headers['set-cookie'] || []).find(c => c.startsWith(`admin_session_${slug}=`));
+            if (!cookie) throw new Error('No session cookie');
+            const session = { cookie: cookie.split(';')[0] };
+            const before = await request('GET', `/${slug}/api/audit`, null, session);
+            if (before.status !== 200) throw new Error(`Session before the change: ${before.status}`);
+
+            const newPin = `${hostedPin}-new`;
+            await request('PATCH', `/api/super/dashboards/${slug}`, { adminPin: newPin }, SUPER_HEADER);
+            const after = await request('GET', `/${slug}/api/audit`, null, session);
+            if (after.status !== 401) throw new Error(`Old session should be rejected, got ${after.status}`);
+            const oldPin = await request('GET', `/${slug}/api/audit`, null, { 'x-admin-pin': hostedPin });
+            if (oldPin.status !== 401) throw new Error(`Old PIN should be rejected, got ${oldPin.status}`);
+            const ownPin = await request('GET', `/${slug}/api/audit`, null, { 'x-admin-pin': newPin });
+            if (ownPin.status !== 200) throw new Error(`New PIN: ${ownPin.status}`);
+        });
+
+        await test('Super-Admin API - Archive and bring back', async () => {
+            const archived = await request('POST', `/api/super/dashboards/${slug}/archive`, null, SUPER_HEADER);
+            if (!archived.body.archived) throw new Error(JSON.stringify(archived.body));
+            const gone = await request('GET', `/${slug}/api/config`);
+            if (gone.status !== 410 || gone.body.code !== 'dashboardArchived') throw new Error(`${gone.status} ${gone.body.code}`);
+
+            await request('POST', `/api/super/dashboards/${slug}/unarchive`, null, SUPER_HEADER);
+            await request('PATCH', `/api/super/dashboards/${slug}`, { tabs: ['names'] }, SUPER_HEADER);
+            const names = await request('GET', `/${slug}/api/names`);
+            if (!names.body.some(n => n.name === 'OnlyHosted')) throw new Error('Data lost while archived');
+        });
+    }
+
+    // --- BACKUP & RESTORE (last: the restore resets everything created after the backup) ---
+    let backupArchive;
+    await test('Backup API - Download (With PIN)', async () => {
+        const noPin = await requestBinary('GET', '/api/backup');
+        if (noPin.status !== 401) throw new Error(`Should return 401, got ${noPin.status}`);
+
+        const res = await requestBinary('GET', '/api/backup', null, PIN_HEADER);
+        if (res.status !== 200 || !/gzip/.test(res.headers['content-type'])) throw new Error(`Status ${res.status}`);
+        if (!/attachment; filename="baby-dashboard-backup-.*\.tar\.gz"/.test(res.headers['content-disposition'])) throw new Error('Not a download');
+        const files = await unpackArchive(res.body);
+        const manifest = JSON.parse(files['manifest.json']);
+        if (manifest.schemaVersion !== 1 || manifest.app !== 'awesome-baby-dashboard') throw new Error('Unexpected manifest');
+        const names = JSON.parse(files['data/names.json']);
+        if (names.length !== manifest.collections.names || !files['data/result.json']) throw new Error('Collections missing');
+        if (Object.keys(files).filter(f => f.startsWith('uploads/')).length !== manifest.uploads) throw new Error('Uploads missing');
+        backupArchive = res.body;
+    });
+
+    let nameAfterBackup;
+    await test('Backup API - Dry Run reports Changes', async () => {
+        const created = await request('POST', '/api/names', { name: 'Afterbackup' });
+        nameAfterBackup = created.body.id;
+
+        const noPin = await requestBinary('POST', '/api/backup/restore?dryRun=true', backupArchive, { 'Content-Type': 'application/gzip' });
+        if (noPin.status !== 401) throw new Error(`Should return 401, got ${noPin.status}`);
+        const res = await requestBinary('POST', '/api/backup/restore?dryRun=true', backupArchive, { ...PIN_HEADER, 'Content-Type': 'application/gzip' });
+        const report = JSON.parse(res.body);
+        if (res.status !== 200 || report.dryRun !== true || report.snapshot) throw new Error(`Status ${res.status}: ${res.body}`);
+        if (report.collections.names.removed !== 1 || report.collections.names.added !== 0) throw new Error(`Unexpected report: ${JSON.stringify(report.collections.names)}`);
+
+        const names = await request('GET', '/api/names');
+        if (!names.body.some(n => n.id === nameAfterBackup)) throw new Error('Dry run changed the data');
+    });
+
+    await test('Backup API - Invalid Archives are rejected', async () => {
+        const restore = (body) => requestBinary('POST', '/api/backup/restore?dryRun=true', body, { ...PIN_HEADER, 'Content-Type': 'application/gzip' })
+            .then(res => ({ status: res.status, code: JSON.parse(res.body).code }));
+
+        const garbage = await restore(Buffer.from('not an archive'));
+        if (garbage.status !== 400 || garbage.code !== 'backupCorrupt') throw new Error(`Garbage: ${garbage.code}`);
+        const foreign = await restore(await packArchive({ 'manifest.json': JSON.stringify({ app: 'other', schemaVersion: 1 }) }));
+        if (foreign.code !== 'backupWrongApp') throw new Error(`Foreign archive: ${foreign.code}`);
+        const future = await restore(await packArchive({ 'manifest.json': JSON.stringify({ app: 'awesome-baby-dashboard', schemaVersion: 99 }) }));
+        if (future.code !== 'backupTooNew') throw new Error(`Newer schema: ${future.code}`);
+        const broken = await restore(await packArchive({
+            'manifest.json': JSON.stringify({ app: 'awesome-baby-dashboard', schemaVersion: 1, collections: { names: 2 } }),
+            'data/names.json': JSON.stringify([{ id: '1', name: 'Only one' }])
+        }));
+        if (broken.code !== 'backupCollectionInvalid') throw new Error(`Count mismatch: ${broken.code}`);
+        const traversal = await restore(await packArchive({ '../evil.json': '{}' }));
+        if (traversal.code !== 'backupEntryInvalid') throw new Error(`Path traversal: ${traversal.code}`);
+    });
+
+    await test('Backup API - Restore takes a Snapshot first', async () => {
+        const res = await requestBinary('POST', '/api/backup/restore', backupArchive, { ...PIN_HEADER, 'Content-Type': 'application/gzip' });
+        const report = JSON.parse(res.body);
+        if (res.status !== 200 || report.dryRun !== false || !/^pre-restore-.*\.tar\.gz$/.test(report.snapshot)) throw new Error(`Status ${res.status}: ${res.body}`);
+
+        const names = await request('GET', '/api/names');
+        if (names.body.some(n => n.id === nameAfterBackup)) throw new Error('Name created after the backup is still there');
+
+        const snapshots = await request('GET', '/api/backup/snapshots', null, PIN_HEADER);
+        if (snapshots.body[0].file !== report.snapshot) throw new Error('Snapshot not listed');
+        const snapshot = await requestBinary('GET', `/api/backup/snapshots/${report.snapshot}`, null, PIN_HEADER);
+        const files = await unpackArchive(snapshot.body);
+        if (!JSON.parse(files['data/names.json']).some(n => n.id === nameAfterBackup)) throw new Error('Snapshot does not contain the previous state');
+    });
+
 
     console.log(`\n🏁 SUMMARY: ${errors === 0 ? 'ALL TESTS PASSED' : errors + ' ERRORS FOUND'}`);
     if (errors > 0) process.exit(1);
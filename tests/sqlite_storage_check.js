@@ -0,0 +1,160 @@
+// Checks of the SQLite storage driver and the JSON -> SQLite migration: node tests/sqlite_storage_check.js
+// Works on temporary directories, no running server needed. Needs the optional better-sqlite3 package.
+// The API checks run against SQLite too when the server is started with STORAGE_DRIVER=sqlite
+// before node tests/full_system_check.js.
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { createStore, COLLECTIONS, StorageError } = require('../lib/storage');
+
+const MIGRATE = path.join(__dirname, '..', 'scripts', 'migrate-json-to-sqlite.js');
+
+const tempDir = () => fs.mkdtempSync(path.join(os.tmpdir(), 'dashboard-check-'));
+
+// Runs the migration script on dir, returns { status, output }
+function migrate(dir, ...args) {
+    const run = spawnSync(process.execPath, [MIGRATE, '--dir', dir, ...args], { encoding: 'utf8', timeout: 30000 });
+    return { status: run.status, output: run.stdout + run.stderr };
+}
+
+async function runTests() {
+    console.log(`\n🔍 STARTING SQLITE STORAGE CHECK - ${new Date().toISOString()}\n`);
+    let errors = 0;
+
+    try {
+        require('better-sqlite3');
+    } catch (err) {
+        console.log('⏭️  better-sqlite3 is not installed, SQLite checks skipped');
+        return;
+    }
+
+    async function test(name, fn) {
+        try {
+            process.stdout.write(`Testing: ${name}... `);
+            await fn();
+            console.log('✅ OK');
+        } catch (e) {
+            console.log(`❌ FAIL\n  Error: ${e.message}`);
+            errors++;
+        }
+    }
+
+    const dirs = [];
+    const newDir = () => {
+        const dir = tempDir();
+        dirs.push(dir);
+        return dir;
+    };
+
+    // --- DRIVER ---
+    await test('SQLite Driver - Lists keep Records and Order', async () => {
+        const dir = newDir();
+        const store = createStore({ driver: 'sqlite', dataDir: dir });
+        const names = store.collection('names');
+        await names.set([{ id: '1', name: 'Mila' }, { id: '2', name: 'Noah' }]);
+        await names.update(list => {
+            list.unshift({ id: '3', name: 'Ida' });
+            list.find(n => n.id === '2').name = 'Noa';
+            list.splice(list.findIndex(n => n.id === '1'), 1);
+        });
+        store.close();
+
+        const reopened = createStore({ driver: 'sqlite', dataDir: dir });
+        const list = reopened.collection('names').read();
+        reopened.close();
+        if (JSON.stringify(list) !== JSON.stringify([{ id: '3', name: 'Ida' }, { id: '2', name: 'Noa' }])) {
+            throw new Error(`Unexpected list ${JSON.stringify(list)}`);
+        }
+    });
+
+    await test('SQLite Driver - Single Values', async () => {
+        const store = createStore({ driver: 'sqlite', dataDir: newDir() });
+        const result = store.collection('result', { defaultValue: COLLECTIONS.result });
+        const digest = store.collection('notificationDigest', { defaultValue: COLLECTIONS.notificationDigest });
+        if (result.read() !== null) throw new Error('Result should start empty');
+        await result.set({ date: '2026-08-21', weight: 3400 });
+        await digest.update(value => { value.events.push({ id: 'a' }); });
+        const checks = [result.read().weight === 3400, digest.read().events.length === 1];
+        store.close();
+        if (checks.includes(false)) throw new Error('Values were not stored');
+    });
+
+    await test('SQLite Driver - Rejects duplicate IDs instead of dropping a Record', async () => {
+        const store = createStore({ driver: 'sqlite', dataDir: newDir() });
+        const bets = store.collection('bets');
+        await bets.set([{ id: '1', name: 'Anna' }]);
+        let error;
+        try {
+            await bets.update(list => { list.push({ id: '1', name: 'Ben' }); });
+        } catch (err) {
+            error = err;
+        }
+        const list = bets.read();
+        store.close();
+        if (!(error instanceof StorageError)) throw new Error('Duplicate id was accepted');
+        if (list.length !== 1 || list[0].name !== 'Anna') throw new Error(`Stored data changed: ${JSON.stringify(list)}`);
+    });
+
+    // --- MIGRATION ---
+    await test('Migration - Imports the JSON Files', async () => {
+        const dir = newDir();
+        fs.writeFileSync(path.join(dir, 'names.json'), JSON.stringify([{ id: '1', name: 'Mila', votes: 2, votedIPs: ['1.2.3.4'] }]));
+        fs.writeFileSync(path.join(dir, 'wishlist.json'), JSON.stringify([{ id: '5', item: 'Pram' }, { id: '6', item: 'Cot' }]));
+        fs.writeFileSync(path.join(dir, 'result.json'), JSON.stringify({ date: '2026-08-21', time: '08:30', weight: 3400, size: 51 }));
+
+        const run = migrate(dir);
+        if (run.status !== 0) throw new Error(`Exit ${run.status}: ${run.output}`);
+
+        const store = createStore({ driver: 'sqlite', dataDir: dir });
+        const names = store.collection('names').read();
+        const wishlist = store.collection('wishlist').read();
+        const result = store.collection('result', { defaultValue: null }).read();
+        store.close();
+        if (names.length !== 1 || names[0].name !== 'Mila') throw new Error('Names not imported');
+        if (Array.isArray(names[0].votedIPs)) throw new Error('Voter IPs were not upgraded');
+        if (wishlist.map(w => w.item).join() !== 'Pram,Cot') throw new Error('Wishlist not imported in order');
+        if (!result || result.weight !== 3400) throw new Error('Result not imported');
+        if (!fs.existsSync(path.join(dir, 'names.json'))) throw new Error('JSON file was removed');
+    });
+
+    await test('Migration - Skips filled Collections unless forced', async () => {
+        const dir = newDir();
+        fs.writeFileSync(path.join(dir, 'bets.json'), JSON.stringify([{ id: '1', name: 'Anna' }]));
+        if (migrate(dir).status !== 0) throw new Error('First run failed');
+
+        fs.writeFileSync(path.join(dir, 'bets.json'), JSON.stringify([{ id: '1', name: 'Anna' }, { id: '2', name: 'Ben' }]));
+        const second = migrate(dir);
+        if (second.status === 0 || !/bets: database already contains data/.test(second.output)) throw new Error(`Second run: ${second.output}`);
+
+        const forced = migrate(dir, '--force');
+        if (forced.status !== 0) throw new Error(`Forced run: ${forced.output}`);
+        const store = createStore({ driver: 'sqlite', dataDir: dir });
+        const count = store.collection('bets').read().length;
+        store.close();
+        if (count !== 2) throw new Error(`Expected 2 bets after --force, got ${count}`);
+    });
+
+    await test('Migration - Refuses a Collection with duplicate IDs', async () => {
+        const dir = newDir();
+        fs.writeFileSync(path.join(dir, 'offers.json'), JSON.stringify([{ id: '7', name: 'Stroller' }, { id: '7', name: 'Crib' }]));
+        fs.writeFileSync(path.join(dir, 'news.json'), JSON.stringify([{ id: '1', title: 'Hello' }]));
+
+        const run = migrate(dir);
+        if (run.status === 0 || !/offers: Duplicate id "7"/.test(run.output)) throw new Error(`Exit ${run.status}: ${run.output}`);
+
+        const store = createStore({ driver: 'sqlite', dataDir: dir });
+        const offers = store.collection('offers').read();
+        const news = store.collection('news').read();
+        store.close();
+        if (offers.length !== 0) throw new Error('Part of the offers was imported');
+        if (news.length !== 1) throw new Error('Other collections were not imported');
+    });
+
+    dirs.forEach(dir => fs.rmSync(dir, { recursive: true, force: true }));
+
+    console.log(`\n🏁 SUMMARY: ${errors === 0 ? 'ALL TESTS PASSED' : errors + ' ERRORS FOUND'}`);
+    if (errors > 0) process.exit(1);
+}
+
+runTests();